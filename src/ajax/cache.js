@@ -0,0 +1,143 @@
+/**
+ * jQNext - AJAX Response Cache
+ * In-memory response store, cache transport and ETag/Last-Modified revalidation
+ */
+
+/**
+ * Create the default in-memory cache store
+ * Custom stores only need the same get/set/delete methods
+ * @returns {Object} - Store with get(), set(), delete() and clear()
+ */
+export function createMemoryStore() {
+  const entries = new Map();
+  
+  return {
+    get(key) {
+      return entries.get(key);
+    },
+    
+    set(key, entry) {
+      entries.set(key, entry);
+    },
+    
+    delete(key) {
+      entries.delete(key);
+    },
+    
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Read a header from a raw header string
+ * @param {string} headers - Raw response headers
+ * @param {string} name - Lowercase header name
+ * @returns {string|undefined}
+ */
+function headerValue(headers, name) {
+  const match = new RegExp('^' + name + ':[ \\t]*([^\\r\\n]*)', 'mi').exec(headers || '');
+  return match ? match[1].trim() : undefined;
+}
+
+/**
+ * Look up the cached response for a request
+ * Stale entries that carry validators add If-None-Match / If-Modified-Since
+ * to the request headers so the server can revalidate them
+ * @param {Object} store - Cache store
+ * @param {string} key - Cache key
+ * @param {Object} headers - Request headers, modified in place
+ * @returns {Object|null} - { entry, fresh }
+ */
+export function cacheLookup(store, key, headers) {
+  const entry = store.get(key);
+  
+  if (!entry) return null;
+  
+  if (entry.expires > Date.now()) {
+    return { entry, fresh: true };
+  }
+  
+  if (entry.etag || entry.lastModified) {
+    if (entry.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+    if (entry.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    }
+    return { entry, fresh: false };
+  }
+  
+  store.delete(key);
+  return null;
+}
+
+/**
+ * Wrap a transport completion callback so successful responses are stored
+ * and a 304 revalidation is answered from the stored entry
+ * @param {Object} store - Cache store
+ * @param {string} key - Cache key
+ * @param {number} ttl - Time to live in ms
+ * @param {Object} [entry] - Stale entry being revalidated
+ * @param {Function} complete - Transport completion callback
+ * @returns {Function}
+ */
+export function cacheComplete(store, key, ttl, entry, complete) {
+  return (status, statusText, responses, headers) => {
+    if (status === 304 && entry) {
+      entry.expires = Date.now() + ttl;
+      store.set(key, entry);
+      complete(entry.status, entry.statusText, entry.responses, entry.headers);
+      return;
+    }
+    
+    if (status >= 200 && status < 300 && status !== 204 && responses) {
+      store.set(key, {
+        status,
+        statusText,
+        responses,
+        headers,
+        etag: headerValue(headers, 'etag'),
+        lastModified: headerValue(headers, 'last-modified'),
+        expires: Date.now() + ttl
+      });
+    }
+    
+    complete(status, statusText, responses, headers);
+  };
+}
+
+/**
+ * Transport answering a request from a fresh cache entry
+ * @param {Object} s - Merged settings
+ * @param {Object} entry - Cache entry
+ * @returns {Object} - Transport with send() and abort()
+ */
+export function cacheTransport(s, entry) {
+  let timer;
+  
+  return {
+    send(headers, complete) {
+      const respond = () => complete(entry.status, entry.statusText, entry.responses, entry.headers);
+      
+      // Keep callbacks asynchronous, as they would be over the network
+      if (s.async) {
+        timer = setTimeout(respond, 0);
+      } else {
+        respond();
+      }
+    },
+    
+    abort() {
+      clearTimeout(timer);
+    }
+  };
+}
+
+export default {
+  createMemoryStore,
+  cacheLookup,
+  cacheComplete,
+  cacheTransport
+};
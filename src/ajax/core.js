@@ -4,10 +4,15 @@
  */
 
 import { isFunction, isPlainObject, isString, isArray } from '../utilities/type.js';
-import { extend } from '../utilities/objects.js';
 import { Deferred } from '../utilities/deferred.js';
-import { param } from '../utilities/strings.js';
+import { extend, globalEval } from '../utilities/objects.js';
+import { param, parseJSON, parseXML, parseHTML } from '../utilities/strings.js';
 import { trigger } from '../events/core.js';
+import { html, empty, append } from '../dom/manipulation.js';
+import { querySelectorAllWithPseudo } from '../selectors/pseudo.js';
+import { createStandardXHR, xhrTransport } from './xhr.js';
+import { createInterceptors, runInterceptors } from './interceptors.js';
+import { createMemoryStore, cacheLookup, cacheComplete, cacheTransport } from './cache.js';
 
 // Default AJAX settings
 export const ajaxSettings = {
@@ -27,20 +32,123 @@ export const ajaxSettings = {
   dataType: null,
   timeout: 0,
   cache: true,
+  ifModified: false,
   crossDomain: false,
   headers: {},
-  global: true
+  global: true,
+  xhr: createStandardXHR,
+  
+  // Share one in-flight jqXHR among identical GET/HEAD requests (same URL,
+  // dataTypes, headers and context, and no signal); a shared request still runs
+  // its prefilters, beforeSend and statusCode callbacks, but not the request
+  // interceptors or ajaxSend
+  dedupe: false,
+  
+  // Serve repeated GETs from cacheStore for this many ms (0 disables caching)
+  cacheTTL: 0,
+  cacheStore: createMemoryStore(),
+  
+  // Content-type patterns used to detect the dataType of a response
+  contents: {
+    xml: /\bxml\b/,
+    html: /\bhtml/,
+    json: /\bjson\b/
+  },
+  
+  // jqXHR fields populated with the response at each conversion step
+  responseFields: {
+    xml: 'responseXML',
+    text: 'responseText',
+    json: 'responseJSON'
+  },
+  
+  // Data converters, keyed by "source destination" dataTypes
+  // true means no conversion is needed
+  converters: {
+    '* text': String,
+    'text html': true,
+    'text json': parseJSON,
+    'text xml': parseXML,
+    'text script': function(text) {
+      globalEval(text);
+      return text;
+    }
+  },
+  
+  // Options that are copied by reference rather than deep-merged
+  flatOptions: {
+    url: true,
+    context: true,
+    cacheStore: true,
+    json: true
+  }
 };
 
 // Active request count
 let active = 0;
 
+// In-flight de-duplicated requests, keyed by requestKey(), as { jqXHR, context }
+const inflight = {};
+
+// Last-Modified and ETag response headers, keyed by URL, for ifModified requests
+export const lastModified = {};
+export const etag = {};
+
+// Anchor stripped from URLs used as ifModified keys
+const rhash = /#.*$/;
+
+// Request methods that carry no body
+const rnoContent = /^(?:GET|HEAD)$/;
+
+// Conditional request headers, left out of cache keys since revalidation adds them
+const rvalidators = /^if-(?:none-match|modified-since)$/i;
+
+// Defaults for the `retry` setting: failed attempts matching retryOn (an
+// HTTP status or a status text such as 'timeout') are re-issued up to
+// `count` times, waiting delay * backoff^n ms, for the listed methods only
+const retryDefaults = {
+  count: 0,
+  delay: 0,
+  backoff: 2,
+  retryOn: [502, 503, 504, 'timeout'],
+  methods: ['GET', 'HEAD']
+};
+
+/**
+ * Merge AJAX settings, deep-extending everything except flatOptions
+ * so that nested maps like converters and headers are merged, not replaced
+ * @param {Object} target
+ * @param {Object} src
+ * @returns {Object}
+ */
+function ajaxExtend(target, src) {
+  const flatOptions = ajaxSettings.flatOptions || {};
+  let deep;
+  
+  for (const key in src) {
+    if (src[key] !== undefined) {
+      (flatOptions[key] ? target : (deep || (deep = {})))[key] = src[key];
+    }
+  }
+  
+  if (deep) {
+    extend(true, target, deep);
+  }
+  
+  return target;
+}
+
 /**
  * Setup default AJAX settings
- * @param {Object} settings
+ * Called with two arguments, builds a full settings object into target instead
+ * @param {Object} target
+ * @param {Object} [settings]
+ * @returns {Object}
  */
-export function ajaxSetup(settings) {
-  extend(ajaxSettings, settings);
+export function ajaxSetup(target, settings) {
+  return settings
+    ? ajaxExtend(ajaxExtend(target, ajaxSettings), settings)
+    : ajaxExtend(ajaxSettings, target);
 }
 
 /**
@@ -50,7 +158,7 @@ const prefilters = [];
 
 /**
  * Add AJAX prefilter
- * @param {string|Function} dataTypeOrHandler
+ * @param {string|Function} dataTypeOrHandler - Space-separated dataTypes
  * @param {Function} [handler]
  */
 export function ajaxPrefilter(dataTypeOrHandler, handler) {
@@ -58,21 +166,405 @@ export function ajaxPrefilter(dataTypeOrHandler, handler) {
     handler = dataTypeOrHandler;
     dataTypeOrHandler = '*';
   }
-  prefilters.push({ dataType: dataTypeOrHandler, handler });
+  prefilters.push({
+    dataTypes: dataTypeOrHandler.toLowerCase().split(/\s+/).filter(Boolean),
+    handler
+  });
 }
 
 /**
- * AJAX transports
+ * AJAX transports, keyed by dataType
  */
 const transports = {};
 
 /**
  * Add AJAX transport
- * @param {string} dataType
- * @param {Function} handler
+ * Transport factories receive (options, originalOptions, jqXHR) and return an
+ * object with send(headers, completeCallback) and abort(), or nothing to let
+ * the next transport handle the request.
+ * @param {string|Function} dataTypeOrFactory - Space-separated dataTypes, '+' prefix to prepend
+ * @param {Function} [factory]
+ */
+export function ajaxTransport(dataTypeOrFactory, factory) {
+  if (isFunction(dataTypeOrFactory)) {
+    factory = dataTypeOrFactory;
+    dataTypeOrFactory = '*';
+  }
+  
+  dataTypeOrFactory.toLowerCase().split(/\s+/).filter(Boolean).forEach(dataType => {
+    const prepend = dataType[0] === '+';
+    if (prepend) {
+      dataType = dataType.slice(1) || '*';
+    }
+    
+    const list = transports[dataType] || (transports[dataType] = []);
+    if (prepend) {
+      list.unshift(factory);
+    } else {
+      list.push(factory);
+    }
+  });
+}
+
+/**
+ * Find the transport for a request, falling back to the built-in transports
+ * @param {Object} s - Merged settings
+ * @param {Object} originalOptions
+ * @param {Object} jqXHR
+ * @param {Function} notify - Reports progress to the jqXHR
+ * @returns {Object} - Transport with send() and abort()
+ */
+function inspectTransports(s, originalOptions, jqXHR, notify) {
+  const candidates = s.dataTypes[0] === '*' ? ['*'] : [s.dataTypes[0], '*'];
+  
+  for (const dataType of candidates) {
+    for (const factory of transports[dataType] || []) {
+      const transport = factory(s, originalOptions, jqXHR);
+      if (transport) {
+        return transport;
+      }
+    }
+  }
+  
+  // Fetch cannot block, report upload progress or use a custom xhr factory
+  const isUpload = s.hasContent && (s.data instanceof FormData || s.data instanceof Blob);
+  if (!s.async || isUpload || s.xhr !== createStandardXHR) {
+    return xhrTransport(s, notify);
+  }
+  
+  return fetchTransport(s, notify);
+}
+
+/**
+ * Read a response body as text, reporting download progress per chunk
+ * @param {Response} response
+ * @param {Function} notify - Reports progress to the jqXHR
+ * @returns {Promise<string>}
+ */
+function readBody(response, notify) {
+  if (!response.body || !response.body.getReader) {
+    return response.text();
+  }
+  
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const total = Number(response.headers.get('Content-Length')) || 0;
+  let loaded = 0;
+  let text = '';
+  
+  const pump = () => reader.read().then(({ done, value }) => {
+    if (done) {
+      return text + decoder.decode();
+    }
+    
+    loaded += value.byteLength;
+    const chunk = decoder.decode(value, { stream: true });
+    text += chunk;
+    notify({ loaded, total, lengthComputable: total > 0, upload: false, chunk, status: response.status });
+    
+    return pump();
+  });
+  
+  return pump();
+}
+
+/**
+ * Built-in transport using the Fetch API
+ * @param {Object} s - Merged settings
+ * @param {Function} notify - Reports progress to the jqXHR
+ * @returns {Object} - Transport with send() and abort()
+ */
+function fetchTransport(s, notify) {
+  let controller;
+  
+  return {
+    send(headers, complete) {
+      controller = new AbortController();
+      
+      // fetchOptions (from the settings or a request interceptor) can
+      // override anything except the headers and the abort signal
+      const fetchOptions = extend({
+        method: s.type,
+        credentials: s.xhrFields?.withCredentials ? 'include' : 'same-origin'
+      }, s.fetchOptions, {
+        headers: new Headers(),
+        signal: controller.signal
+      });
+      
+      for (const name in headers) {
+        fetchOptions.headers.set(name, headers[name]);
+      }
+      
+      if (s.hasContent && s.data != null) {
+        fetchOptions.body = s.data;
+      }
+      
+      fetch(s.url, fetchOptions)
+        .then(response => readBody(response, notify).then(text => {
+          // Use setTimeout to ensure done() callbacks run outside promise chain
+          // This prevents errors in user callbacks from being caught by our catch block
+          setTimeout(() => {
+            complete(response.status, response.statusText, { text }, serializeHeaders(response.headers));
+          }, 0);
+        }))
+        .catch(error => {
+          if (error.name === 'AbortError') {
+            // Already handled by abort
+            return;
+          }
+          
+          setTimeout(() => {
+            complete(0, 'error');
+          }, 0);
+        });
+    },
+    
+    abort() {
+      if (controller) {
+        controller.abort();
+      }
+    }
+  };
+}
+
+/**
+ * Serialize a Headers object to a raw header string
+ * @param {Headers} headers
+ * @returns {string}
+ */
+function serializeHeaders(headers) {
+  const lines = [];
+  headers.forEach((value, name) => {
+    lines.push(`${name}: ${value}`);
+  });
+  return lines.join('\r\n');
+}
+
+/**
+ * Parse a raw header string into a lowercase-keyed map
+ * @param {string} headers
+ * @returns {Object}
+ */
+function parseHeaders(headers) {
+  const result = {};
+  const rheaders = /^(.*?):[ \t]*([^\r\n]*)$/mg;
+  let match;
+  
+  while ((match = rheaders.exec(headers))) {
+    result[match[1].toLowerCase()] = match[2];
+  }
+  
+  return result;
+}
+
+/**
+ * Pick the response matching the expected dataType, detecting it from the
+ * Content-Type when the request asked for '*'
+ * @param {Object} s - Merged settings
+ * @param {Object} jqXHR
+ * @param {Object} responses - Responses keyed by dataType (e.g. { text: '...' })
+ * @returns {*}
+ */
+function ajaxHandleResponses(s, jqXHR, responses) {
+  const contents = s.contents;
+  const dataTypes = s.dataTypes;
+  let contentType;
+  let finalDataType;
+  let firstDataType;
+  
+  // Remove auto dataType and get content-type in the process
+  while (dataTypes[0] === '*') {
+    dataTypes.shift();
+    if (contentType === undefined) {
+      contentType = s.mimeType || jqXHR.getResponseHeader('Content-Type');
+    }
+  }
+  
+  // Check if we're dealing with a known content-type
+  if (contentType) {
+    for (const type in contents) {
+      if (contents[type] && contents[type].test(contentType)) {
+        dataTypes.unshift(type);
+        break;
+      }
+    }
+  }
+  
+  // Check to see if we have a response for the expected dataType
+  if (dataTypes[0] in responses) {
+    finalDataType = dataTypes[0];
+  } else {
+    // Try convertible dataTypes
+    for (const type in responses) {
+      if (!dataTypes[0] || s.converters[type + ' ' + dataTypes[0]]) {
+        finalDataType = type;
+        break;
+      }
+      if (!firstDataType) {
+        firstDataType = type;
+      }
+    }
+    
+    // Or just use first one
+    finalDataType = finalDataType || firstDataType;
+  }
+  
+  // Add the dataType to the chain if it isn't already first
+  if (finalDataType) {
+    if (finalDataType !== dataTypes[0]) {
+      dataTypes.unshift(finalDataType);
+    }
+    return responses[finalDataType];
+  }
+}
+
+/**
+ * Run a response through the dataType chain using the registered converters
+ * @param {Object} s - Merged settings
+ * @param {*} response
+ * @param {Object} jqXHR
+ * @param {boolean} isSuccess
+ * @returns {Object} - { state: 'success', data } or { state: 'parsererror', error }
  */
-export function ajaxTransport(dataType, handler) {
-  transports[dataType] = handler;
+function ajaxConvert(s, response, jqXHR, isSuccess) {
+  const dataTypes = s.dataTypes.slice();
+  const converters = {};
+  let current;
+  let prev;
+  
+  // Work with lowercase converter keys
+  if (dataTypes[1]) {
+    for (const key in s.converters) {
+      converters[key.toLowerCase()] = s.converters[key];
+    }
+    
+    // Error pages still fill in responseText, but are never run as scripts
+    if (!isSuccess && dataTypes.indexOf('script') > -1 && dataTypes.indexOf('json') < 0) {
+      converters['text script'] = text => text;
+    }
+  }
+  
+  current = dataTypes.shift();
+  
+  // Convert to each sequential dataType
+  while (current) {
+    if (s.responseFields[current]) {
+      jqXHR[s.responseFields[current]] = response;
+    }
+    
+    // Apply the dataFilter if provided
+    if (!prev && isSuccess && s.dataFilter) {
+      response = s.dataFilter(response, s.dataType);
+    }
+    
+    prev = current;
+    current = dataTypes.shift();
+    
+    if (!current) {
+      break;
+    }
+    
+    // There's only work to do if current dataType is non-auto
+    if (current === '*') {
+      current = prev;
+      continue;
+    }
+    
+    if (prev === '*' || prev === current) {
+      continue;
+    }
+    
+    // Seek a direct converter
+    let conv = converters[prev + ' ' + current] || converters['* ' + current];
+    
+    // If none found, seek a pair through an intermediate dataType
+    if (!conv) {
+      for (const key in converters) {
+        const [from, to] = key.split(' ');
+        
+        if (to === current) {
+          conv = converters[prev + ' ' + from] || converters['* ' + from];
+          
+          if (conv) {
+            if (conv === true) {
+              // Condense equivalence converters
+              conv = converters[key];
+            } else if (converters[key] !== true) {
+              // Otherwise, insert the intermediate dataType
+              current = from;
+              dataTypes.unshift(to);
+            }
+            break;
+          }
+        }
+      }
+    }
+    
+    // Apply converter (if not an equivalence)
+    if (conv !== true) {
+      if (conv && s.throws) {
+        response = conv(response);
+      } else {
+        try {
+          response = conv(response);
+        } catch (e) {
+          return {
+            state: 'parsererror',
+            error: conv ? e : 'No conversion from ' + prev + ' to ' + current
+          };
+        }
+      }
+    }
+  }
+  
+  return { state: 'success', data: response };
+}
+
+/**
+ * Key identifying a request for de-duplication and the response cache
+ * @param {Object} s - Merged settings, with data already added to the URL
+ * @param {string} url - URL without the cache buster
+ * @param {Object} headers - Request headers, as left by beforeSend
+ * @param {RegExp} [ignore] - Header names left out of the key
+ * @returns {string|null} - null when the request cannot be shared
+ */
+function requestKey(s, url, headers, ignore) {
+  if (s.hasContent) {
+    return null;
+  }
+  
+  const headerLines = Object.keys(headers)
+    .filter(name => !(ignore && ignore.test(name)))
+    .sort()
+    .map(name => name.toLowerCase() + ': ' + headers[name]);
+  return [s.type, url, s.dataTypes.join(' ')].concat(headerLines).join('\n');
+}
+
+/**
+ * Attach a duplicate request's callbacks to the in-flight jqXHR it shares
+ * @param {Object} jqXHR - In-flight jqXHR
+ * @param {Object} s - Duplicate request's settings
+ * @returns {Object} jqXHR
+ */
+function shareRequest(jqXHR, s) {
+  const context = s.context || s;
+  
+  if (s.success) {
+    jqXHR.done((...args) => s.success.apply(context, args));
+  }
+  if (s.error) {
+    jqXHR.fail((...args) => s.error.apply(context, args));
+  }
+  if (s.statusCode) {
+    jqXHR.always((...args) => {
+      [].concat(s.statusCode[jqXHR.status] || []).forEach(callback => callback.apply(context, args));
+    });
+  }
+  if (s.complete) {
+    jqXHR.always((arg, statusText) => s.complete.call(context, jqXHR, statusText));
+  }
+  
+  return jqXHR;
 }
 
 /**
@@ -89,17 +581,60 @@ export function ajax(url, settings) {
   }
   
   // Merge settings with defaults
-  const s = extend({}, ajaxSettings, settings);
+  const s = ajaxSetup({}, settings || {});
   s.url = url || s.url;
   s.type = (s.type || s.method || 'GET').toUpperCase();
   
+  // JSON body mode: send `json` serialized, and expect JSON back unless told otherwise
+  if (s.json !== undefined) {
+    if (!settings || !(settings.type || settings.method)) {
+      s.type = 'POST';
+    }
+    s.data = JSON.stringify(s.json);
+    s.processData = false;
+    s.contentType = 'application/json; charset=UTF-8';
+    s.dataType = s.dataType || 'json';
+  }
+  
   // Process data types
-  const dataTypes = (s.dataType || '*').toLowerCase().split(/\s+/);
+  const dataTypes = s.dataTypes = (s.dataType || '*').toLowerCase().split(/\s+/);
+  
+  // Request headers, filled in before send and open to setRequestHeader()
+  const requestHeaders = {};
+  
+  // Status-dependent callbacks
+  const statusCode = s.statusCode || {};
+  
+  // Transport handling the current attempt, and its timeout timer
+  let transport;
+  let timeoutTimer;
+  
+  // Whether global events fire (ajaxStart counted this request)
+  let fireGlobals = false;
+  
+  // Per-request global events bubble from a DOM node or collection context
+  const globalEventContext = s.context && (s.context.nodeType || s.context.jquery) ? s.context : document;
+  
+  // Key this request is shared under by dedupe
+  let sharedKey = null;
+  
+  // Listener on the caller's AbortSignal
+  let onSignalAbort;
+  
+  // Resolves the response interceptor waiting on a retry
+  let retrying = null;
+  
+  // Automatic retries: attempts started so far, and retries used
+  const retry = s.retry ? extend({}, retryDefaults, s.retry) : null;
+  let attempt = 0;
+  let retries = 0;
+  let retryTimer;
   
   // Create jqXHR (Deferred-compatible) - MUST be before prefilters
   const deferred = Deferred();
   const jqXHR = deferred.promise({
     readyState: 0,
+    attempt: 0,
     status: 0,
     statusText: '',
     responseText: '',
@@ -119,7 +654,7 @@ export function ajax(url, settings) {
     
     setRequestHeader(name, value) {
       if (this.readyState === 0) {
-        s.headers[name] = value;
+        requestHeaders[name] = value;
       }
       return this;
     },
@@ -129,209 +664,476 @@ export function ajax(url, settings) {
       return this;
     },
     
+    // Status-dependent callbacks: lazily stored until the request completes
+    statusCode(map) {
+      if (map) {
+        if (this.readyState < 4) {
+          for (const code in map) {
+            statusCode[code] = [statusCode[code], map[code]];
+          }
+        } else {
+          this.always(map[this.status]);
+        }
+      }
+      return this;
+    },
+    
     abort(statusText) {
-      if (controller) {
-        controller.abort();
+      const finalText = statusText || 'abort';
+      if (this.readyState < 4) {
+        if (transport) {
+          transport.abort(finalText);
+        }
+        // Aborting skips the response interceptors
+        finish(createResponse(0, finalText));
       }
-      done(0, statusText || 'abort');
       return this;
     }
   });
   
+  // Process data
+  if (s.data && s.processData && !isString(s.data)) {
+    s.data = param(s.data);
+  }
+  
   // Run prefilters (after jqXHR is created)
-  prefilters.forEach(({ dataType, handler }) => {
-    if (dataType === '*' || dataTypes.includes(dataType)) {
+  prefilters.forEach(({ dataTypes: filterTypes, handler }) => {
+    if (filterTypes.some(dataType => dataType === '*' || dataTypes.includes(dataType))) {
       handler(s, settings || {}, jqXHR);
     }
   });
   
+  // A prefilter aborted the request
+  if (jqXHR.readyState === 4) {
+    return jqXHR;
+  }
+  
+  // Global ajaxStart
+  fireGlobals = s.global;
+  if (fireGlobals && active++ === 0) {
+    triggerGlobal('ajaxStart');
+  }
+  
+  // Prefilters may have changed the request method
+  s.type = s.type.toUpperCase();
+  s.hasContent = !rnoContent.test(s.type);
+  
   // Callbacks
   jqXHR.success = jqXHR.done;
   jqXHR.error = jqXHR.fail;
   jqXHR.complete = jqXHR.always;
   
-  // Abort controller
-  let controller;
-  
-  // Process URL for cache busting
-  let requestUrl = s.url;
-  
-  if (!s.cache && s.type === 'GET') {
-    const timestamp = '_=' + Date.now();
-    requestUrl += (requestUrl.indexOf('?') > -1 ? '&' : '?') + timestamp;
-  }
-  
-  // Process data
-  let requestData = s.data;
+  // URL identifying the resource for ifModified, without the cache buster
+  let cacheURL = s.url.replace(rhash, '');
   
-  if (requestData && s.processData && !isString(requestData)) {
-    requestData = param(requestData);
-  }
-  
-  // Append data to URL for GET requests
-  if (requestData && s.type === 'GET') {
-    requestUrl += (requestUrl.indexOf('?') > -1 ? '&' : '?') + requestData;
-    requestData = null;
+  if (s.hasContent) {
+    if (s.data && s.contentType && s.contentType.indexOf('json') > -1 && !isString(s.data)) {
+      s.data = JSON.stringify(s.data);
+    }
+  } else {
+    // Append data to URL for GET requests
+    if (s.data) {
+      s.url += (s.url.indexOf('?') > -1 ? '&' : '?') + s.data;
+      cacheURL = s.url.replace(rhash, '');
+      delete s.data;
+    }
+    
+    // Process URL for cache busting
+    if (!s.cache) {
+      const timestamp = '_=' + Date.now();
+      s.url += (s.url.indexOf('?') > -1 ? '&' : '?') + timestamp;
+    }
   }
   
-  // Build fetch options
-  const fetchOptions = {
-    method: s.type,
-    headers: new Headers(),
-    credentials: s.xhrFields?.withCredentials ? 'include' : 'same-origin'
-  };
-  
   // Set headers
-  if (s.contentType !== false && s.type !== 'GET') {
-    fetchOptions.headers.set('Content-Type', s.contentType);
+  // Let browser set content-type for FormData
+  if (s.hasContent && s.contentType !== false && !(s.data instanceof FormData)) {
+    requestHeaders['Content-Type'] = s.contentType;
   }
   
   // Accept header based on dataType
-  const accept = s.accepts[dataTypes[0]] || s.accepts['*'];
-  fetchOptions.headers.set('Accept', accept);
+  requestHeaders['Accept'] = s.accepts[dataTypes[0]] || s.accepts['*'];
   
   // X-Requested-With header
   if (!s.crossDomain) {
-    fetchOptions.headers.set('X-Requested-With', 'XMLHttpRequest');
+    requestHeaders['X-Requested-With'] = 'XMLHttpRequest';
+  }
+  
+  // Conditional request headers from an earlier response to this URL
+  if (s.ifModified) {
+    if (lastModified[cacheURL]) {
+      requestHeaders['If-Modified-Since'] = lastModified[cacheURL];
+    }
+    if (etag[cacheURL]) {
+      requestHeaders['If-None-Match'] = etag[cacheURL];
+    }
   }
   
   // Custom headers
   for (const header in s.headers) {
-    fetchOptions.headers.set(header, s.headers[header]);
+    requestHeaders[header] = s.headers[header];
   }
   
-  // Set body for non-GET requests
-  if (requestData && s.type !== 'GET') {
-    if (s.contentType && s.contentType.indexOf('json') > -1) {
-      fetchOptions.body = isString(requestData) ? requestData : JSON.stringify(requestData);
-    } else if (requestData instanceof FormData) {
-      fetchOptions.body = requestData;
-      // Let browser set content-type for FormData
-      fetchOptions.headers.delete('Content-Type');
-    } else {
-      fetchOptions.body = requestData;
-    }
+  // Before send callback; returning false cancels the request
+  if (s.beforeSend && (s.beforeSend.call(s.context || s, jqXHR, s) === false || jqXHR.readyState === 4)) {
+    return jqXHR.abort('canceled');
   }
   
-  // Timeout handling
-  if (s.timeout > 0) {
-    controller = new AbortController();
-    fetchOptions.signal = controller.signal;
-    
-    setTimeout(() => {
-      if (jqXHR.readyState < 4) {
-        controller.abort();
-        done(0, 'timeout');
+  // Share an identical in-flight request: same method, URL, dataTypes,
+  // headers and context once prefilters and beforeSend have run. Requests
+  // with an AbortSignal are never shared, as aborting one would abort them all
+  sharedKey = s.dedupe && !s.signal ? requestKey(s, cacheURL, requestHeaders) : null;
+  if (sharedKey && inflight[sharedKey]) {
+    if (inflight[sharedKey].context === s.context) {
+      if (fireGlobals && --active === 0) {
+        triggerGlobal('ajaxStop');
       }
-    }, s.timeout);
+      return shareRequest(inflight[sharedKey].jqXHR, s);
+    }
+    sharedKey = null;
   }
   
-  // Before send callback
-  if (s.beforeSend) {
-    if (s.beforeSend.call(s.context || s, jqXHR, s) === false) {
-      return jqXHR;
+  // Caller-supplied AbortSignal. Listened to rather than handed to the
+  // transport, so signals from another document (e.g. a modal's iframe) work
+  if (s.signal) {
+    if (s.signal.aborted) {
+      return jqXHR.abort();
     }
+    onSignalAbort = () => jqXHR.abort();
+    s.signal.addEventListener('abort', onSignalAbort);
   }
   
-  // Global ajaxStart
-  if (s.global && active++ === 0) {
-    triggerGlobal('ajaxStart');
-  }
+  // Request as prepared so far; every attempt hands the request
+  // interceptors a fresh copy of it
+  const preparedRequest = {
+    url: s.url,
+    type: s.type,
+    data: s.data,
+    headers: requestHeaders,
+    fetchOptions: s.fetchOptions
+  };
+  
+  // Response handling narrows s.dataTypes to what came back; every
+  // attempt starts again from the dataTypes the request was sent with
+  const sentDataTypes = s.dataTypes.slice();
   
-  // Global ajaxSend
-  if (s.global) {
-    triggerGlobal('ajaxSend', [jqXHR, s]);
+  if (sharedKey) {
+    inflight[sharedKey] = { jqXHR, context: s.context };
   }
   
-  jqXHR.readyState = 1;
+  send();
   
-  // Execute fetch
-  fetch(requestUrl, fetchOptions)
-    .then(response => {
-      jqXHR.readyState = 2;
-      jqXHR.status = response.status;
-      jqXHR.statusText = response.statusText;
-      
-      // Store headers
-      jqXHR._responseHeaders = {};
-      response.headers.forEach((value, name) => {
-        jqXHR._responseHeaders[name.toLowerCase()] = value;
-      });
-      
-      // Check for HTTP errors
-      if (!response.ok) {
-        throw response;
+  /**
+   * Start an attempt: run the request interceptors, then hand the request to a transport
+   */
+  function send() {
+    const current = ++attempt;
+    jqXHR.attempt = current;
+    s.dataTypes = sentDataTypes.slice();
+    
+    // Records left half-read by an earlier attempt
+    if (s.streamParser) {
+      s.streamParser.reset();
+    }
+    
+    // Completion callback for this attempt only; results from an
+    // abandoned attempt (timed out or superseded by a retry) are dropped
+    const complete = (...args) => {
+      if (current === attempt) {
+        done(...args);
       }
-      
-      // Parse response based on dataType
-      const contentType = response.headers.get('Content-Type') || '';
-      let dataType = dataTypes[0];
-      
-      // Auto-detect data type if not specified
-      if (!dataType || dataType === '*') {
-        if (contentType.indexOf('json') > -1) {
-          dataType = 'json';
-        } else if (contentType.indexOf('xml') > -1) {
-          dataType = 'xml';
-        } else if (contentType.indexOf('html') > -1) {
-          dataType = 'html';
+    };
+    
+    // Global ajaxSend, once per attempt
+    if (s.global) {
+      triggerGlobal('ajaxSend', [jqXHR, s, current], globalEventContext);
+    }
+    
+    jqXHR.readyState = 1;
+    
+    // Timeout handling, per attempt (synchronous requests cannot be interrupted)
+    if (s.async && s.timeout > 0) {
+      timeoutTimer = setTimeout(() => {
+        if (transport) {
+          transport.abort('timeout');
+        }
+        complete(0, 'timeout');
+      }, s.timeout);
+    }
+    
+    const request = extend({}, preparedRequest, {
+      headers: extend({}, preparedRequest.headers),
+      fetchOptions: extend({}, preparedRequest.fetchOptions),
+      settings: s,
+      jqXHR
+    });
+    
+    runInterceptors(
+      ajax.interceptors.request.handlers,
+      request,
+      req => req.error !== undefined,
+      (req, error) => extend({}, req, { error }),
+      req => {
+        // Aborted or timed out while an interceptor was pending
+        if (jqXHR.readyState === 4 || current !== attempt) return;
+        
+        if (req.error !== undefined) {
+          complete(-1, req.error);
+          return;
+        }
+        
+        s.url = req.url;
+        s.type = req.type.toUpperCase();
+        s.hasContent = !rnoContent.test(s.type);
+        s.data = req.data;
+        s.fetchOptions = req.fetchOptions;
+        
+        // Response cache: fresh entries are served from the store,
+        // stale ones are revalidated with the server. Keyed by headers as
+        // well as URL, so a response is only reused with the same credentials
+        let callback = complete;
+        const cacheKey = s.cacheTTL > 0 && s.cache && s.type === 'GET' ? requestKey(s, s.url, req.headers, rvalidators) : null;
+        const cached = cacheKey ? cacheLookup(s.cacheStore, cacheKey, req.headers) : null;
+        
+        if (cached && cached.fresh) {
+          transport = cacheTransport(s, cached.entry);
         } else {
-          dataType = 'text';
+          transport = inspectTransports(s, settings || {}, jqXHR, notify);
+          if (cacheKey) {
+            // ifModified requests see a 304 as notmodified rather than the stored response
+            const entry = cached && !s.ifModified ? cached.entry : null;
+            callback = cacheComplete(s.cacheStore, cacheKey, s.cacheTTL, entry, complete);
+          }
+        }
+        
+        try {
+          transport.send(req.headers, callback);
+        } catch (e) {
+          // Propagate exceptions thrown after the request has completed
+          if (jqXHR.readyState === 4) {
+            throw e;
+          }
+          complete(-1, e);
         }
       }
+    );
+  }
+  
+  /**
+   * Whether a failed attempt should be re-issued automatically
+   * @param {Object} response - Response from createResponse()
+   * @returns {boolean}
+   */
+  function shouldRetry(response) {
+    return !!retry &&
+      !response.isSuccess &&
+      retries < retry.count &&
+      retry.methods.some(method => method.toUpperCase() === s.type) &&
+      retry.retryOn.some(code => code === response.status || code === response.statusText);
+  }
+  
+  /**
+   * Report progress through the jqXHR's progress() callbacks
+   * Streaming dataTypes report each parsed record instead, as `data`,
+   * and only for successful responses
+   * @param {Object} event - { loaded, total, lengthComputable, upload, [chunk], [status] }
+   */
+  function notify(event) {
+    if (jqXHR.readyState === 4) return;
+    
+    if (s.streamParser && !event.upload) {
+      if (!(event.status >= 200 && event.status < 300)) return;
       
-      // Parse response
-      if (dataType === 'json') {
-        return response.json().then(data => {
-          jqXHR.responseJSON = data;
-          return data;
-        });
-      } else if (dataType === 'xml') {
-        return response.text().then(text => {
-          jqXHR.responseText = text;
-          const parser = new DOMParser();
-          jqXHR.responseXML = parser.parseFromString(text, 'text/xml');
-          return jqXHR.responseXML;
-        });
+      let records;
+      try {
+        records = s.streamParser.push(event.chunk || '');
+      } catch (e) {
+        // Malformed records surface as a parsererror once the response completes
+        records = [];
+      }
+      records.forEach(record => emitRecord(event, record));
+      return;
+    }
+    
+    deferred.notifyWith(s.context || s, [event, jqXHR]);
+  }
+  
+  /**
+   * Hand a streamed record to progress() callbacks and the global ajaxChunk event
+   * @param {Object} event - Progress event the record arrived with
+   * @param {*} record
+   */
+  function emitRecord(event, record) {
+    deferred.notifyWith(s.context || s, [extend({}, event, { data: record }), jqXHR]);
+    
+    if (fireGlobals) {
+      triggerGlobal('ajaxChunk', [jqXHR, s, record], globalEventContext);
+    }
+  }
+  
+  /**
+   * Transport completion: convert the response and run it through the
+   * response interceptors before completing the request
+   * @param {number} status - HTTP status (0 for network failure/abort)
+   * @param {string} nativeStatusText - Status text from the transport
+   * @param {Object} [responses] - Responses keyed by dataType
+   * @param {string} [headers] - Raw response headers
+   */
+  function done(status, nativeStatusText, responses, headers) {
+    if (jqXHR.readyState === 4) return;
+    
+    clearTimeout(timeoutTimer);
+    transport = undefined;
+    
+    // Records still buffered when a stream ends
+    if (s.streamParser && status >= 200 && status < 300) {
+      try {
+        s.streamParser.flush().forEach(record => emitRecord({ upload: false }, record));
+      } catch (e) {
+        // Reported by the converter as a parsererror
+      }
+    }
+    
+    const response = createResponse(status, nativeStatusText, responses, headers);
+    
+    // Automatic retry, before the response interceptors see the failure
+    if (shouldRetry(response)) {
+      const wait = retry.delay * Math.pow(retry.backoff, retries++);
+      if (s.async && wait > 0) {
+        retryTimer = setTimeout(send, wait);
       } else {
-        return response.text().then(text => {
-          jqXHR.responseText = text;
-          return text;
-        });
+        send();
       }
-    })
-    .then(data => {
-      // Use setTimeout to ensure done() callbacks run outside promise chain
-      // This prevents errors in user callbacks from being caught by our catch block
-      setTimeout(() => {
-        done(jqXHR.status, jqXHR.statusText, data);
-      }, 0);
-    })
-    .catch(error => {
-      if (error.name === 'AbortError') {
-        // Already handled by abort
-        return;
+      return;
+    }
+    
+    // A response interceptor is waiting on this attempt
+    if (retrying) {
+      const resolve = retrying;
+      retrying = null;
+      resolve(response);
+      return;
+    }
+    
+    runInterceptors(
+      ajax.interceptors.response.handlers,
+      response,
+      res => !res.isSuccess,
+      (res, error) => extend({}, res, { isSuccess: false, statusText: 'error', error }),
+      finish
+    );
+  }
+  
+  /**
+   * Build the response handed to response interceptors
+   * @param {number} status
+   * @param {string} nativeStatusText
+   * @param {Object} [responses]
+   * @param {string} [headers]
+   * @returns {Object} - { isSuccess, status, statusText, data, error, jqXHR, settings, retry }
+   */
+  function createResponse(status, nativeStatusText, responses, headers) {
+    if (headers) {
+      jqXHR._responseHeaders = parseHeaders(headers);
+    }
+    
+    let isSuccess = status >= 200 && status < 300 || status === 304;
+    let statusText = nativeStatusText;
+    let data;
+    let error;
+    
+    // Get response data and convert it, whatever happens
+    let response;
+    if (responses) {
+      response = ajaxHandleResponses(s, jqXHR, responses);
+    }
+    response = ajaxConvert(s, response, jqXHR, isSuccess);
+    
+    if (isSuccess) {
+      // Remember the validators for the next ifModified request
+      if (s.ifModified) {
+        const modified = jqXHR.getResponseHeader('Last-Modified');
+        if (modified) {
+          lastModified[cacheURL] = modified;
+        }
+        const tag = jqXHR.getResponseHeader('ETag');
+        if (tag) {
+          etag[cacheURL] = tag;
+        }
       }
       
-      jqXHR.status = error.status || 0;
-      jqXHR.statusText = error.statusText || 'error';
+      if (status === 204 || s.type === 'HEAD') {
+        statusText = 'nocontent';
+      } else if (status === 304) {
+        statusText = 'notmodified';
+      } else {
+        statusText = response.state;
+        data = response.data;
+        error = response.error;
+        isSuccess = !error;
+      }
+    } else {
+      // Pass the native status text on as the error thrown
+      error = nativeStatusText;
+      if (status || !statusText) {
+        statusText = 'error';
+        if (status < 0) {
+          status = 0;
+        }
+      }
+    }
+    
+    jqXHR.status = status;
+    jqXHR.statusText = String(nativeStatusText || statusText);
+    
+    return {
+      isSuccess,
+      status,
+      statusText,
+      data,
+      error,
+      jqXHR,
+      settings: s,
       
-      setTimeout(() => {
-        done(jqXHR.status, jqXHR.statusText, null, error);
-      }, 0);
-    });
+      // Send the request again (re-running the request interceptors, and
+      // detecting the dataType afresh).
+      // Resolves with the new attempt's response, which then carries on
+      // through the interceptors registered after the one that retried
+      retry() {
+        const retried = Deferred();
+        if (jqXHR.readyState < 4) {
+          retrying = retried.resolve;
+          send();
+        }
+        return retried.promise();
+      }
+    };
+  }
   
   /**
    * Complete the request
+   * @param {Object} response - Response from createResponse(), as left by the interceptors
    */
-  function done(status, statusText, data, error) {
+  function finish(response) {
     if (jqXHR.readyState === 4) return;
     
     jqXHR.readyState = 4;
-    jqXHR.status = status;
-    jqXHR.statusText = statusText;
+    clearTimeout(timeoutTimer);
+    clearTimeout(retryTimer);
+    
+    if (onSignalAbort) {
+      s.signal.removeEventListener('abort', onSignalAbort);
+    }
+    
+    // Later identical requests start afresh
+    if (sharedKey && inflight[sharedKey].jqXHR === jqXHR) {
+      delete inflight[sharedKey];
+    }
+    transport = undefined;
+    retrying = null;
     
-    const isSuccess = status >= 200 && status < 300 || status === 304;
+    const { isSuccess, statusText, data, error } = response;
+    jqXHR.status = response.status;
     
     if (isSuccess) {
       // Success callbacks
@@ -347,19 +1149,22 @@ export function ajax(url, settings) {
       deferred.rejectWith(s.context || s, [jqXHR, statusText, error]);
     }
     
+    // Status-dependent callbacks
+    jqXHR.statusCode(statusCode);
+    
     // Complete callbacks
     if (s.complete) {
       s.complete.call(s.context || s, jqXHR, statusText);
     }
     
     // Global events
-    if (s.global) {
-      triggerGlobal('ajaxComplete', [jqXHR, s]);
+    if (fireGlobals) {
+      triggerGlobal('ajaxComplete', [jqXHR, s], globalEventContext);
       
       if (isSuccess) {
-        triggerGlobal('ajaxSuccess', [jqXHR, s, data]);
+        triggerGlobal('ajaxSuccess', [jqXHR, s, data], globalEventContext);
       } else {
-        triggerGlobal('ajaxError', [jqXHR, s, error]);
+        triggerGlobal('ajaxError', [jqXHR, s, error], globalEventContext);
       }
       
       if (--active === 0) {
@@ -371,17 +1176,31 @@ export function ajax(url, settings) {
   return jqXHR;
 }
 
+/**
+ * Request/response interceptors, run around the transport for every request.
+ * Request interceptors receive { url, type, data, headers, fetchOptions, settings, jqXHR }
+ * and response interceptors receive { isSuccess, status, statusText, data, error, jqXHR,
+ * settings, retry() }; either may modify and return its argument or a promise for it.
+ */
+ajax.interceptors = {
+  request: createInterceptors(),
+  response: createInterceptors()
+};
+
 /**
  * Trigger global AJAX event
+ * @param {string} type
+ * @param {Array} [args] - Extra handler arguments
+ * @param {Element|Object} [context] - Element or collection the event bubbles from
  */
-function triggerGlobal(type, args = []) {
+function triggerGlobal(type, args = [], context = document) {
   // Use the global jQuery reference (presideJQuery in Preside)
   // jQuery event handlers expect parameters as separate arguments, not in event.detail
   const $ = typeof presideJQuery !== 'undefined' ? presideJQuery :
            typeof jQuery !== 'undefined' ? jQuery : null;
   
   if ($) {
-    $(document).trigger(type, args);
+    $(context).trigger(type, args);
   }
 }
 
@@ -401,13 +1220,14 @@ export function get(url, data, success, dataType) {
     data = undefined;
   }
   
-  return ajax({
+  // A settings object may be passed in place of the url
+  return ajax(extend({
     url,
     data,
     success,
     dataType,
     type: 'GET'
-  });
+  }, isPlainObject(url) && url));
 }
 
 /**
@@ -425,13 +1245,14 @@ export function post(url, data, success, dataType) {
     data = undefined;
   }
   
-  return ajax({
+  // A settings object may be passed in place of the url
+  return ajax(extend({
     url,
     data,
     success,
     dataType,
     type: 'POST'
-  });
+  }, isPlainObject(url) && url));
 }
 
 /**
@@ -450,6 +1271,65 @@ export function getJSON(url, data, success) {
   return get(url, data, success, 'json');
 }
 
+/**
+ * Create a shorthand sending data as a JSON body and parsing the JSON response
+ * @param {string} type - Request method
+ * @returns {Function} - (url, [data], [success]) => jqXHR
+ */
+function jsonRequest(type) {
+  return function(url, data, success) {
+    if (isFunction(data)) {
+      success = data;
+      data = undefined;
+    }
+    
+    // A settings object may be passed in place of the url
+    return ajax(extend({
+      url,
+      type,
+      json: data,
+      success,
+      dataType: 'json'
+    }, isPlainObject(url) && url));
+  };
+}
+
+/**
+ * POST JSON
+ * @param {string} url
+ * @param {Object|Array} [data] - Sent as the JSON body
+ * @param {Function} [success]
+ * @returns {Object} jqXHR
+ */
+export const postJSON = jsonRequest('POST');
+
+/**
+ * PUT JSON
+ * @param {string} url
+ * @param {Object|Array} [data] - Sent as the JSON body
+ * @param {Function} [success]
+ * @returns {Object} jqXHR
+ */
+export const putJSON = jsonRequest('PUT');
+
+/**
+ * PATCH JSON
+ * @param {string} url
+ * @param {Object|Array} [data] - Sent as the JSON body
+ * @param {Function} [success]
+ * @returns {Object} jqXHR
+ */
+export const patchJSON = jsonRequest('PATCH');
+
+/**
+ * DELETE with an optional JSON body
+ * @param {string} url
+ * @param {Object|Array} [data] - Sent as the JSON body
+ * @param {Function} [success]
+ * @returns {Object} jqXHR
+ */
+export const deleteJSON = jsonRequest('DELETE');
+
 /**
  * Load and execute script
  * @param {string} url
@@ -457,26 +1337,76 @@ export function getJSON(url, data, success) {
  * @returns {Object} jqXHR
  */
 export function getScript(url, success) {
+  // The 'text script' converter executes the script
   return ajax({
     url,
     type: 'GET',
     dataType: 'script',
     cache: true,
     success
-  }).then(script => {
-    // Execute the script
-    const scriptElem = document.createElement('script');
-    scriptElem.text = script;
-    document.head.appendChild(scriptElem).parentNode.removeChild(scriptElem);
-    return script;
   });
 }
 
+// Script types executed when loaded HTML is inserted, and the
+// comment/CDATA wrappers stripped from inline script text
+const rscriptType = /^$|\/(?:java|ecma)script/i;
+const rcleanScript = /^\s*<!(?:\[CDATA\[|--)|(?:\]\]|--)>\s*$/g;
+
+/**
+ * Run the scripts inserted with loaded HTML, in document order
+ * Same-origin external scripts are fetched synchronously so later scripts can
+ * rely on them; other origins get a script element, as jQuery's script
+ * transport does, since a cross-origin XHR needs CORS
+ * @param {Element} elem - Element the HTML was inserted into
+ * @returns {Error|null} - The first same-origin script that failed to load
+ */
+function runScripts(elem) {
+  let failure = null;
+  
+  elem.querySelectorAll('script').forEach(script => {
+    if (!rscriptType.test(script.type || '')) return;
+    
+    if (script.src && new URL(script.src, location.href).origin !== location.origin) {
+      const external = document.createElement('script');
+      external.src = script.src;
+      if (script.charset) {
+        external.charset = script.charset;
+      }
+      
+      const cleanup = () => external.remove();
+      external.addEventListener('load', cleanup);
+      external.addEventListener('error', cleanup);
+      document.head.appendChild(external);
+    } else if (script.src) {
+      const jqXHR = ajax({
+        url: script.src,
+        type: 'GET',
+        dataType: 'script',
+        async: false,
+        global: false,
+        throws: true
+      });
+      
+      if (jqXHR.state() === 'rejected' && !failure) {
+        failure = new Error('Failed to load script ' + script.src + ': ' + jqXHR.status + ' ' + jqXHR.statusText);
+      }
+    } else {
+      globalEval(script.textContent.replace(rcleanScript, ''));
+    }
+  });
+  
+  return failure;
+}
+
 /**
  * Load HTML into element
+ * With a selector after the URL ('/page #panel') only the matching elements are
+ * inserted and scripts are dropped; otherwise the whole response is inserted and
+ * its scripts run, as in jQuery. An external script that fails to load is thrown
+ * asynchronously, once the request has completed
  * @param {jQCollection} collection
  * @param {string} url
- * @param {Object|Function} [data]
+ * @param {Object|string|Function} [data] - Objects are POSTed, strings sent with GET
  * @param {Function} [complete]
  * @returns {jQCollection}
  */
@@ -497,43 +1427,45 @@ export function load(collection, url, data, complete) {
   }
   
   // Check for selector in URL
-  const selector = url.indexOf(' ') > -1
-    ? url.slice(url.indexOf(' ') + 1)
-    : null;
-  const requestUrl = selector ? url.slice(0, url.indexOf(' ')) : url;
+  const offset = url.indexOf(' ');
+  const selector = offset > -1 ? url.slice(offset).trim() : null;
+  const requestUrl = offset > -1 ? url.slice(0, offset) : url;
   
-  ajax({
+  const jqXHR = ajax({
     url: requestUrl,
-    type: data ? 'POST' : 'GET',
+    type: data && typeof data === 'object' ? 'POST' : 'GET',
     dataType: 'html',
     data
-  }).done((responseText) => {
-    // If selector specified, extract matching content
-    let content = responseText;
-    
+  });
+  
+  let scriptError = null;
+  
+  jqXHR.done((responseText) => {
     if (selector) {
+      // Matching elements from the response, scripts excluded
       const temp = document.createElement('div');
-      temp.innerHTML = responseText;
-      const found = temp.querySelectorAll(selector);
-      content = '';
-      found.forEach(el => content += el.innerHTML);
+      (parseHTML(responseText) || []).forEach(node => temp.appendChild(node));
+      
+      empty(collection);
+      append(collection, querySelectorAllWithPseudo(selector, temp));
+    } else {
+      html(collection, responseText);
+      
+      // Scripts run once, from the last element (where the original nodes go)
+      scriptError = runScripts(collection[collection.length - 1]);
     }
-    
-    // Insert content
-    collection.each(function() {
-      this.innerHTML = content;
-    });
-    
-    // Execute callback
+  }).always((arg, status) => {
     if (complete) {
       collection.each(function() {
-        complete.call(this, responseText, 'success', null);
+        complete.call(this, jqXHR.responseText, status, jqXHR);
       });
     }
-  }).fail((jqXHR, status, error) => {
-    if (complete) {
-      collection.each(function() {
-        complete.call(this, jqXHR.responseText || '', status, jqXHR);
+    
+    // Thrown outside the request's callbacks so the request still completes
+    // (complete, global events and the active count) when a script fails to load
+    if (scriptError) {
+      setTimeout(() => {
+        throw scriptError;
       });
     }
   });
@@ -547,9 +1479,15 @@ export default {
   ajaxPrefilter,
   ajaxTransport,
   ajaxSettings,
+  lastModified,
+  etag,
   get,
   post,
   getJSON,
+  postJSON,
+  putJSON,
+  patchJSON,
+  deleteJSON,
   getScript,
   load
 };
\ No newline at end of file
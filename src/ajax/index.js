@@ -5,6 +5,22 @@
 
 export * from './core.js';
 export * from './serialize.js';
+export * from './jsonp.js';
+export * from './xhr.js';
+export * from './interceptors.js';
+export * from './cache.js';
+export * from './queue.js';
+export * from './stream.js';
+export * from './submit.js';
+export * from './mock.js';
 
 export { default as ajaxCore } from './core.js';
-export { default as serializeModule } from './serialize.js';
\ No newline at end of file
+export { default as serializeModule } from './serialize.js';
+export { default as jsonpModule } from './jsonp.js';
+export { default as xhrModule } from './xhr.js';
+export { default as interceptorsModule } from './interceptors.js';
+export { default as cacheModule } from './cache.js';
+export { default as queueModule } from './queue.js';
+export { default as streamModule } from './stream.js';
+export { default as submitModule } from './submit.js';
+export { default as mockModule } from './mock.js';
\ No newline at end of file
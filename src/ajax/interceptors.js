@@ -0,0 +1,100 @@
+/**
+ * jQNext - AJAX Interceptors
+ * Request/response interceptor chains run around the transport
+ */
+
+import { isFunction } from '../utilities/type.js';
+
+/**
+ * Create an interceptor list
+ * @returns {Object} - List with use(), eject() and clear()
+ */
+export function createInterceptors() {
+  const handlers = [];
+  
+  return {
+    handlers,
+    
+    /**
+     * Register an interceptor
+     * @param {Function} [fulfilled] - Receives the request or a successful response
+     * @param {Function} [rejected] - Receives a failed request or response
+     * @returns {number} - Id for eject()
+     */
+    use(fulfilled, rejected) {
+      handlers.push({ fulfilled, rejected });
+      return handlers.length - 1;
+    },
+    
+    /**
+     * Remove an interceptor
+     * @param {number} id - Id returned by use()
+     */
+    eject(id) {
+      if (handlers[id]) {
+        handlers[id] = null;
+      }
+    },
+    
+    /**
+     * Remove all interceptors
+     */
+    clear() {
+      handlers.length = 0;
+    }
+  };
+}
+
+/**
+ * Run a value through interceptor handlers in registration order.
+ * Stays synchronous until a handler returns a thenable, so requests
+ * without async interceptors (and async: false requests) are unaffected.
+ * A handler returning undefined keeps the current value.
+ * @param {Array} handlers - { fulfilled, rejected } pairs
+ * @param {*} value - Initial value
+ * @param {Function} isRejected - Whether a value goes to the rejected handler
+ * @param {Function} recover - Turn a thrown error into the next value
+ * @param {Function} callback - Receives the final value
+ */
+export function runInterceptors(handlers, value, isRejected, recover, callback) {
+  let index = 0;
+  
+  const next = (current) => {
+    while (index < handlers.length) {
+      const handler = handlers[index++];
+      const fn = handler && (isRejected(current) ? handler.rejected : handler.fulfilled);
+      
+      if (!isFunction(fn)) continue;
+      
+      let result;
+      try {
+        result = fn(current);
+      } catch (e) {
+        current = recover(current, e);
+        continue;
+      }
+      
+      if (result && isFunction(result.then)) {
+        const previous = current;
+        result.then(
+          resolved => next(resolved === undefined ? previous : resolved),
+          e => next(recover(previous, e))
+        );
+        return;
+      }
+      
+      if (result !== undefined) {
+        current = result;
+      }
+    }
+    
+    callback(current);
+  };
+  
+  next(value);
+}
+
+export default {
+  createInterceptors,
+  runInterceptors
+};
@@ -0,0 +1,156 @@
+/**
+ * jQNext - JSONP
+ * Script-injecting JSONP requests with jQuery-compatible callback handling
+ */
+
+import { isFunction, isString } from '../utilities/type.js';
+import { expando } from '../core/data.js';
+import { ajaxSetup, ajaxPrefilter, ajaxTransport } from './core.js';
+
+// Matches the `callback=?` / `callback=??` placeholder convention
+const rjsonp = /(=)\?(?=&|$)|\?\?/;
+
+// Callback names released by completed requests, reused before minting new ones
+const oldCallbacks = [];
+let nonce = Date.now();
+
+ajaxSetup({
+  jsonp: 'callback',
+  jsonpCallback: function() {
+    const callback = oldCallbacks.pop() || (expando + '_' + nonce++);
+    this[callback] = true;
+    return callback;
+  }
+});
+
+/**
+ * Detect JSONP requests, rewrite the callback placeholder and install the global callback
+ * @param {Object} s - Merged settings
+ * @param {Object} originalSettings
+ * @param {Object} jqXHR
+ */
+function jsonpPrefilter(s, originalSettings, jqXHR) {
+  const replaceInUrl = s.jsonp !== false && rjsonp.test(s.url);
+  const replaceInData = s.jsonp !== false && !replaceInUrl &&
+    isString(s.data) &&
+    (s.contentType || '').indexOf('application/x-www-form-urlencoded') === 0 &&
+    rjsonp.test(s.data);
+  
+  if (!replaceInUrl && !replaceInData && s.dataTypes[0] !== 'jsonp') {
+    return;
+  }
+  
+  // Get callback name, remembering preexisting value associated with it
+  const callbackName = s.jsonpCallback = isFunction(s.jsonpCallback)
+    ? s.jsonpCallback()
+    : s.jsonpCallback;
+  
+  // Insert callback into url or form data
+  if (replaceInUrl) {
+    s.url = s.url.replace(rjsonp, '$1' + callbackName);
+  } else if (replaceInData) {
+    s.data = s.data.replace(rjsonp, '$1' + callbackName);
+  } else if (s.jsonp !== false) {
+    s.url += (s.url.indexOf('?') > -1 ? '&' : '?') + s.jsonp + '=' + callbackName;
+  }
+  
+  // Use data converter to retrieve json after script execution
+  s.converters['jsonp json'] = function() {
+    if (!responseContainer) {
+      throw new Error(callbackName + ' was not called');
+    }
+    return responseContainer[0];
+  };
+  
+  // Load the script through the jsonp transport, then convert to json
+  s.dataTypes[0] = 'json';
+  s.dataTypes.unshift('jsonp');
+  
+  // Scripts can only be loaded with GET, and are not cached unless asked
+  s.type = 'GET';
+  if (originalSettings.cache === undefined) {
+    s.cache = false;
+  }
+  
+  // Install callback
+  let overwritten = window[callbackName];
+  let responseContainer;
+  
+  window[callbackName] = function() {
+    responseContainer = arguments;
+  };
+  
+  // Clean-up function (fires after handlers)
+  jqXHR.always(() => {
+    // If previous value didn't exist - remove it, otherwise restore it
+    if (overwritten === undefined) {
+      delete window[callbackName];
+    } else {
+      window[callbackName] = overwritten;
+    }
+    
+    // Save back as free
+    if (s[callbackName]) {
+      // Make sure that re-using the options doesn't screw things around
+      s.jsonpCallback = originalSettings.jsonpCallback;
+      oldCallbacks.push(callbackName);
+    }
+    
+    // Call if it was a function and we have a response
+    if (responseContainer && isFunction(overwritten)) {
+      overwritten(responseContainer[0]);
+    }
+    
+    responseContainer = overwritten = undefined;
+  });
+}
+
+/**
+ * Transport loading the JSONP response through an injected script element
+ * @param {Object} s - Merged settings
+ * @returns {Object} - Transport with send() and abort()
+ */
+function jsonpTransport(s) {
+  let script;
+  let callback;
+  
+  return {
+    send(headers, complete) {
+      script = document.createElement('script');
+      script.async = true;
+      if (s.scriptCharset) {
+        script.charset = s.scriptCharset;
+      }
+      script.src = s.url;
+      
+      callback = (event) => {
+        script.removeEventListener('load', callback);
+        script.removeEventListener('error', callback);
+        script.remove();
+        callback = null;
+        
+        if (event) {
+          complete(event.type === 'error' ? 404 : 200, event.type);
+        }
+      };
+      
+      script.addEventListener('load', callback);
+      script.addEventListener('error', callback);
+      document.head.appendChild(script);
+    },
+    
+    abort() {
+      if (callback) {
+        callback();
+      }
+    }
+  };
+}
+
+ajaxPrefilter('json jsonp', jsonpPrefilter);
+ajaxTransport('jsonp', jsonpTransport);
+
+export default {
+  jsonpPrefilter,
+  jsonpTransport
+};
\ No newline at end of file
@@ -0,0 +1,238 @@
+/**
+ * jQNext - AJAX Mocking
+ * Opt-in fake server answering ajax() requests from registered handlers
+ */
+
+import { isFunction, isString } from '../utilities/type.js';
+import { ajax, ajaxTransport } from './core.js';
+
+// Status texts for canned responses that do not set one
+const statusTexts = {
+  200: 'OK',
+  201: 'Created',
+  202: 'Accepted',
+  204: 'No Content',
+  304: 'Not Modified',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout'
+};
+
+const rregexpChars = /[.+?^${}()|[\]\\]/g;
+
+// Registered handlers; removed entries are left as null so ids stay valid
+const handlers = [];
+
+// Requests answered by the mock server
+const requests = [];
+
+let enabled = false;
+let passthrough = false;
+
+/**
+ * Test a request URL against a handler's URL matcher
+ * Strings match exactly, with `*` as a wildcard; without a `?` of their own
+ * they also match the URL with any query string
+ * @param {string|RegExp|Function} matcher
+ * @param {string} url
+ * @returns {boolean}
+ */
+function urlMatches(matcher, url) {
+  if (matcher == null) {
+    return true;
+  }
+  
+  if (matcher instanceof RegExp) {
+    return matcher.test(url);
+  }
+  
+  if (isFunction(matcher)) {
+    return !!matcher(url);
+  }
+  
+  const pattern = new RegExp('^' + matcher.replace(rregexpChars, '\\$&').replace(/\*/g, '.*') + '$');
+  return pattern.test(url) || (matcher.indexOf('?') < 0 && pattern.test(url.split('?')[0]));
+}
+
+/**
+ * Find the handler for a request
+ * @param {Object} s - Merged settings
+ * @returns {Object|undefined}
+ */
+function findHandler(s) {
+  return handlers.find(handler => handler &&
+    (!handler.type || handler.type.toUpperCase() === s.type) &&
+    urlMatches(handler.url, s.url)
+  );
+}
+
+/**
+ * Build the canned response for a request
+ * @param {Object} handler
+ * @param {Object} request - Recorded request
+ * @returns {Object} - { status, statusText, body, headers }
+ */
+function buildResponse(handler, request) {
+  const status = handler.status === undefined ? 200 : handler.status;
+  const headers = Object.assign({}, handler.headers);
+  let body = isFunction(handler.response) ? handler.response(request) : handler.response;
+  
+  if (body != null && !isString(body)) {
+    body = JSON.stringify(body);
+    if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = 'application/json';
+    }
+  }
+  
+  if (handler.contentType) {
+    headers['Content-Type'] = handler.contentType;
+  }
+  
+  return {
+    status,
+    statusText: handler.statusText || statusTexts[status] || (status ? '' : 'error'),
+    body: body == null ? '' : body,
+    headers
+  };
+}
+
+/**
+ * Transport answering requests from the registered handlers
+ * Requests no handler matches get a 404, or go to the network in passthrough mode
+ * @param {Object} s - Merged settings
+ * @returns {Object|undefined} - Transport with send() and abort()
+ */
+function mockTransport(s) {
+  if (!enabled) return;
+  
+  const handler = findHandler(s) || null;
+  
+  if (!handler && passthrough) return;
+  
+  let timer;
+  
+  return {
+    send(headers, complete) {
+      const request = {
+        url: s.url,
+        type: s.type,
+        data: s.data,
+        headers: Object.assign({}, headers),
+        settings: s
+      };
+      requests.push(request);
+      
+      if (handler && handler.times !== undefined && --handler.times <= 0) {
+        handlers[handlers.indexOf(handler)] = null;
+      }
+      
+      const response = handler ? buildResponse(handler, request) : {
+        status: 404,
+        statusText: statusTexts[404],
+        body: '',
+        headers: {}
+      };
+      
+      const respond = () => {
+        if (!response.status) {
+          complete(0, response.statusText);
+          return;
+        }
+        
+        const rawHeaders = Object.keys(response.headers)
+          .map(name => name + ': ' + response.headers[name])
+          .join('\r\n');
+        
+        complete(response.status, response.statusText, { text: response.body }, rawHeaders);
+      };
+      
+      // Keep callbacks asynchronous, as they would be over the network
+      if (s.async) {
+        timer = setTimeout(respond, (handler && handler.latency) || 0);
+      } else {
+        respond();
+      }
+    },
+    
+    abort() {
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * The mock server, exposed as $.ajax.mock
+ */
+export const mock = {
+  requests,
+  
+  /**
+   * Start answering requests from the registered handlers
+   * @param {Object} [options] - `passthrough: true` sends unmatched requests to the network
+   * @returns {Object} - The mock server
+   */
+  enable(options) {
+    enabled = true;
+    passthrough = !!(options && options.passthrough);
+    return mock;
+  },
+  
+  /**
+   * Stop mocking and forget every handler and recorded request
+   * @returns {Object} - The mock server
+   */
+  disable() {
+    enabled = false;
+    return mock.reset();
+  },
+  
+  /**
+   * Register a canned response
+   * @param {Object} handler - url (string with `*` wildcards, RegExp or function),
+   *   type, status, statusText, headers, contentType, latency (ms),
+   *   times (answer this many requests, then stop matching) and response
+   *   (string, data to send as JSON, or a function receiving the recorded request)
+   * @returns {number} - Id for remove()
+   */
+  add(handler) {
+    handlers.push(Object.assign({}, handler, { type: handler.type || handler.method }));
+    return handlers.length - 1;
+  },
+  
+  /**
+   * Remove a handler
+   * @param {number} id - Id returned by add()
+   */
+  remove(id) {
+    if (handlers[id]) {
+      handlers[id] = null;
+    }
+  },
+  
+  /**
+   * Forget every handler and recorded request
+   * @returns {Object} - The mock server
+   */
+  reset() {
+    handlers.length = 0;
+    requests.length = 0;
+    return mock;
+  }
+};
+
+// Ahead of the built-in transports; dataType-specific ones (JSONP) still come first
+ajaxTransport('+*', mockTransport);
+
+ajax.mock = mock;
+
+export default {
+  mock
+};
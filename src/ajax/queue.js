@@ -0,0 +1,183 @@
+/**
+ * jQNext - AJAX Queues
+ * Named queues running requests strictly one after another
+ */
+
+import { isString } from '../utilities/type.js';
+import { Deferred } from '../utilities/deferred.js';
+import { ajax } from './core.js';
+
+// Queues by name: { running, pending }
+const queues = {};
+
+/**
+ * Get or create a named queue
+ * @param {string} name
+ * @returns {Object}
+ */
+function getQueue(name) {
+  return queues[name] || (queues[name] = { running: null, pending: [] });
+}
+
+/**
+ * Start the next pending request in a queue
+ * @param {Object} queue
+ */
+function next(queue) {
+  const entry = queue.pending.shift() || null;
+  queue.running = entry;
+  
+  if (!entry) return;
+  
+  const { deferred } = entry;
+  
+  // Advance the queue before passing the result on, so requests
+  // queued from the callers' callbacks start straight away; callers
+  // get the object ajaxQueue() returned in place of the inner jqXHR
+  entry.jqXHR = ajax(entry.settings);
+  entry.jqXHR
+    .always(() => next(queue))
+    .progress(function(...args) {
+      deferred.notifyWith(this, args);
+    })
+    .done(function(data, statusText) {
+      deferred.resolveWith(this, [data, statusText, entry.promise]);
+    })
+    .fail(function(jqXHR, statusText, error) {
+      deferred.rejectWith(this, [entry.promise, statusText, error]);
+    });
+}
+
+/**
+ * Drop a request that has not started, failing it as an aborted request would
+ * @param {Object} entry
+ * @param {string} statusText
+ */
+function cancel(entry, statusText) {
+  const s = entry.settings;
+  const context = s.context || s;
+  const promise = entry.promise;
+  
+  entry.state.readyState = 4;
+  entry.state.statusText = statusText;
+  
+  if (s.error) {
+    s.error.call(context, promise, statusText, statusText);
+  }
+  entry.deferred.rejectWith(context, [promise, statusText, statusText]);
+  
+  if (s.complete) {
+    s.complete.call(context, promise, statusText);
+  }
+}
+
+/**
+ * Build the object ajaxQueue() returns: a promise for the request that reads
+ * its state and response from the jqXHR once the request has started
+ * @param {Object} entry - Queue entry
+ * @param {Object} queue
+ * @returns {Object}
+ */
+function createQueuedXHR(entry, queue) {
+  const source = () => entry.jqXHR || entry.state;
+  const xhr = {
+    getResponseHeader(name) {
+      return entry.jqXHR ? entry.jqXHR.getResponseHeader(name) : null;
+    },
+    
+    getAllResponseHeaders() {
+      return entry.jqXHR ? entry.jqXHR.getAllResponseHeaders() : null;
+    },
+    
+    abort(statusText) {
+      if (entry.jqXHR) {
+        entry.jqXHR.abort(statusText);
+      } else if (queue.pending.includes(entry)) {
+        queue.pending.splice(queue.pending.indexOf(entry), 1);
+        cancel(entry, statusText || 'abort');
+      }
+      return this;
+    }
+  };
+  
+  ['readyState', 'status', 'statusText', 'responseText', 'responseJSON', 'responseXML'].forEach(name => {
+    Object.defineProperty(xhr, name, {
+      get: () => source()[name],
+      enumerable: true
+    });
+  });
+  
+  return entry.deferred.promise(xhr);
+}
+
+/**
+ * Queue a request; it is sent once every earlier request in the queue has completed
+ * With `latestWins: true` in the settings, requests still waiting in the queue are dropped
+ * @param {string} [name] - Queue name (defaults to 'default')
+ * @param {Object} settings - AJAX settings
+ * @returns {Object} - Promise for the request, with the jqXHR's state, response and abort()
+ */
+export function ajaxQueue(name, settings) {
+  if (!isString(name)) {
+    settings = name;
+    name = 'default';
+  }
+  
+  const queue = getQueue(name);
+  const deferred = Deferred();
+  const entry = {
+    settings,
+    deferred,
+    jqXHR: null,
+    // Stands in for the jqXHR until the request starts
+    state: { readyState: 0, status: 0, statusText: '' }
+  };
+  entry.promise = createQueuedXHR(entry, queue);
+  
+  // Superseded requests that have not started are dropped
+  if (settings.latestWins) {
+    queue.pending.splice(0).forEach(pending => cancel(pending, 'abort'));
+  }
+  
+  queue.pending.push(entry);
+  
+  if (!queue.running) {
+    next(queue);
+  }
+  
+  return entry.promise;
+}
+
+/**
+ * Inspect a queue
+ * @param {string} [name] - Queue name (defaults to 'default')
+ * @returns {Object} - { running, pending } with the requests' settings
+ */
+ajaxQueue.inspect = function(name = 'default') {
+  const queue = queues[name];
+  return {
+    running: queue && queue.running ? queue.running.settings : null,
+    pending: queue ? queue.pending.map(entry => entry.settings) : []
+  };
+};
+
+/**
+ * Drop a queue's pending requests
+ * @param {string} [name] - Queue name (defaults to 'default')
+ * @param {boolean} [abortRunning] - Also abort the request in flight
+ */
+ajaxQueue.clear = function(name = 'default', abortRunning) {
+  const queue = queues[name];
+  
+  if (!queue) return;
+  
+  queue.pending.splice(0).forEach(entry => cancel(entry, 'abort'));
+  
+  if (abortRunning && queue.running) {
+    queue.running.jqXHR.abort();
+  }
+};
+
+export default {
+  ajaxQueue
+};
@@ -4,128 +4,136 @@
  */
 
 import { param } from '../utilities/strings.js';
+import { isArray, isPlainObject } from '../utilities/type.js';
+import { val } from '../dom/attributes.js';
 
 /**
  * Elements that can be serialized
+ * <output> is a listed form element but not a submittable one
  */
-const rsubmittable = /^(?:input|select|textarea|keygen)/i;
+const rsubmittable = /^(?:input|select|textarea|keygen)$/i;
 const rsubmitterTypes = /^(?:submit|button|image|reset|file)$/i;
 const rcheckableType = /^(?:checkbox|radio)$/i;
+const rdirnameType = /^(?:text|search|tel|url|email|password|hidden|textarea)$/i;
+const rCRLF = /\r?\n/g;
 
 /**
- * Get serializable form elements
- * @param {Element} form
- * @returns {Element[]}
+ * First strong character of a value is right-to-left
  */
-function getSerializableElements(form) {
-  const elements = [];
+const rfirstStrongRtl = /^[^A-Za-z\u00C0-\u02B8\u0300-\u0590\u0900-\u1FFF\u200E\u2C00-\uFB1C\uFE00-\uFE6F\uFEFD-\uFFFF]*[\u0591-\u06EF\u06FA-\u08FF\u200F\uFB1D-\uFDFF\uFE70-\uFEFC]/;
+
+/**
+ * Bracket notation in field names: user[address][city], tags[]
+ */
+const rbracketName = /^([^[\]]+)((?:\[[^[\]]*\])+)$/;
+const rbracketKey = /\[([^[\]]*)\]/g;
+const rindex = /^\d+$/;
+
+// Keys that would reach Object.prototype
+const rforbiddenKey = /^(?:__proto__|constructor|prototype)$/;
+
+/**
+ * Whether a control outside a serialized form contributes to the form data set
+ * @param {Element} elem
+ * @returns {boolean}
+ */
+function isSubmittable(elem) {
+  return !!elem.name &&
+    rsubmittable.test(elem.nodeName) &&
+    !rsubmitterTypes.test(elem.type) &&
+    !(rcheckableType.test(elem.type) && !elem.checked) &&
+    // :disabled includes controls in a disabled fieldset (outside its first legend)
+    !elem.matches(':disabled') &&
+    !elem.closest('datalist');
+}
+
+/**
+ * Get the directionality of a text control for dirname submission
+ * @param {Element} elem
+ * @returns {string} - 'ltr' or 'rtl'
+ */
+function directionality(elem) {
+  const dirElem = elem.closest('[dir]');
+  const dir = dirElem ? dirElem.getAttribute('dir').toLowerCase() : '';
   
-  // Handle form or collection of elements
-  if (form.elements) {
-    // It's a form
-    const formElements = form.elements;
-    for (let i = 0; i < formElements.length; i++) {
-      elements.push(formElements[i]);
-    }
-  } else if (form.length !== undefined) {
-    // It's a collection
-    for (let i = 0; i < form.length; i++) {
-      if (form[i].elements) {
-        // Form element
-        const formElements = form[i].elements;
-        for (let j = 0; j < formElements.length; j++) {
-          elements.push(formElements[j]);
-        }
-      } else {
-        elements.push(form[i]);
-      }
-    }
-  } else {
-    elements.push(form);
+  if (dir === 'auto' && dirElem === elem) {
+    return rfirstStrongRtl.test(elem.value) ? 'rtl' : 'ltr';
   }
   
-  return elements.filter(elem => {
-    const type = elem.type;
-    const name = elem.name;
-    
-    // Must have a name
-    if (!name) return false;
-    
-    // Must not be disabled
-    if (elem.disabled) return false;
-    
-    // Must match submittable pattern
-    if (!rsubmittable.test(elem.nodeName)) return false;
-    
-    // Must not be submit/button/image/reset/file type
-    if (rsubmitterTypes.test(type)) return false;
-    
-    // Checkboxes and radios must be checked
-    if (rcheckableType.test(type) && !elem.checked) return false;
-    
-    return true;
-  });
+  return dir === 'rtl' ? 'rtl' : 'ltr';
 }
 
 /**
- * Get the value of a form element
+ * Get the entries a single control contributes to the form data set
  * @param {Element} elem
- * @returns {string|string[]}
+ * @returns {Array} - { name, value } entries
  */
-function getValue(elem) {
-  const type = elem.type;
+function controlEntries(elem) {
+  const name = elem.name;
+  const entries = [];
   
-  // Select element
   if (elem.nodeName.toLowerCase() === 'select') {
-    if (elem.multiple) {
-      const values = [];
-      const options = elem.options;
-      for (let i = 0; i < options.length; i++) {
-        if (options[i].selected) {
-          values.push(options[i].value);
-        }
+    const options = elem.options;
+    for (let i = 0; i < options.length; i++) {
+      if (options[i].selected && !options[i].disabled) {
+        entries.push({ name, value: options[i].value });
       }
-      return values;
     }
-    return elem.value;
+    return entries;
   }
   
-  // Checkbox/radio
-  if (rcheckableType.test(type)) {
-    return elem.value;
+  entries.push({ name, value: elem.value });
+  
+  const dirname = elem.getAttribute('dirname');
+  if (dirname && rdirnameType.test(elem.type)) {
+    entries.push({ name: dirname, value: directionality(elem) });
   }
   
-  // Normalize line endings
-  return elem.value.replace(/\r?\n/g, '\r\n');
+  return entries;
+}
+
+/**
+ * Get a form's data set from the browser, which follows the HTML
+ * form data set construction algorithm: controls associated through
+ * form="id", disabled fieldsets, dirname and form-associated custom elements
+ * @param {HTMLFormElement} form
+ * @returns {Array} - { name, value } entries
+ */
+function formEntries(form) {
+  const entries = [];
+  
+  new FormData(form).forEach((value, name) => {
+    // File inputs are not serialized
+    if (typeof value === 'string') {
+      entries.push({ name, value });
+    }
+  });
+  
+  return entries;
 }
 
 /**
  * Serialize form elements to array of {name, value} objects
+ * Forms contribute their whole data set; other elements only themselves
  * @param {jQCollection} collection
  * @returns {Array}
  */
 export function serializeArray(collection) {
   const result = [];
   
-  // Get all elements to serialize
-  const elements = [];
   for (let i = 0; i < collection.length; i++) {
-    elements.push(...getSerializableElements(collection[i]));
-  }
-  
-  // Build result array
-  elements.forEach(elem => {
-    const name = elem.name;
-    const value = getValue(elem);
+    const elem = collection[i];
     
-    if (Array.isArray(value)) {
-      // Multiple select values
-      value.forEach(v => {
-        result.push({ name, value: v });
-      });
-    } else {
-      result.push({ name, value });
+    if (elem.nodeName.toLowerCase() === 'form') {
+      result.push(...formEntries(elem));
+    } else if (elem.nodeType === 1 && isSubmittable(elem)) {
+      result.push(...controlEntries(elem));
     }
+  }
+  
+  // Normalize line endings
+  result.forEach(entry => {
+    entry.value = entry.value.replace(rCRLF, '\r\n');
   });
   
   return result;
@@ -140,7 +148,153 @@ export function serialize(collection) {
   return param(serializeArray(collection));
 }
 
+/**
+ * Split a field name into its bracket notation keys
+ * 'user[address][city]' -> ['user', 'address', 'city'], 'tags[]' -> ['tags', '']
+ * @param {string} name
+ * @returns {string[]}
+ */
+function parseName(name) {
+  const match = rbracketName.exec(name);
+  
+  if (!match) {
+    return [name];
+  }
+  
+  const keys = [match[1]];
+  match[2].replace(rbracketKey, (all, key) => keys.push(key));
+  return keys;
+}
+
+/**
+ * Store a value at a bracket notation path
+ * Empty keys append to an array, numeric keys index one; a name repeated
+ * without brackets collects its values into an array
+ * @param {Object|Array} target
+ * @param {string[]} keys
+ * @param {string} value
+ */
+function assign(target, keys, value) {
+  let key = keys[0];
+  
+  if (rforbiddenKey.test(key)) return;
+  
+  if (key === '' && isArray(target)) {
+    key = target.length;
+  }
+  
+  if (keys.length === 1) {
+    const existing = target[key];
+    
+    if (existing === undefined) {
+      target[key] = value;
+    } else if (isArray(existing)) {
+      existing.push(value);
+    } else {
+      target[key] = [existing, value];
+    }
+    return;
+  }
+  
+  let child = target[key];
+  
+  if (child === null || typeof child !== 'object') {
+    child = target[key] = keys[1] === '' || rindex.test(keys[1]) ? [] : {};
+  }
+  
+  assign(child, keys.slice(1), value);
+}
+
+/**
+ * Serialize form elements to an object, nesting bracket notation names
+ * @param {jQCollection} collection
+ * @returns {Object}
+ */
+export function serializeObject(collection) {
+  const result = {};
+  
+  serializeArray(collection).forEach(({ name, value }) => {
+    assign(result, parseName(name), value);
+  });
+  
+  return result;
+}
+
+/**
+ * Look up the value for a field name in a nested object
+ * A trailing empty key refers to the whole array: 'tags[]' -> obj.tags
+ * @param {Object} obj
+ * @param {string} name
+ * @returns {*}
+ */
+function lookup(obj, name) {
+  const keys = parseName(name);
+  let value = obj;
+  
+  for (let i = 0; i < keys.length; i++) {
+    if (keys[i] === '' && i === keys.length - 1) break;
+    
+    if (value === null || typeof value !== 'object' || rforbiddenKey.test(keys[i])) {
+      return undefined;
+    }
+    value = value[keys[i]];
+  }
+  
+  return value;
+}
+
+/**
+ * Populate form elements from an object, the inverse of serializeObject()
+ * Fields missing from the object are left untouched. Arrays check every
+ * matching checkbox and select every matching option; for other fields
+ * sharing a name, each takes the array item at its position.
+ * @param {jQCollection} collection
+ * @param {Object} obj
+ * @returns {jQCollection}
+ */
+export function deserialize(collection, obj) {
+  if (!isPlainObject(obj)) {
+    return collection;
+  }
+  
+  const elements = [];
+  for (let i = 0; i < collection.length; i++) {
+    const elem = collection[i];
+    elements.push(...(elem.elements ? Array.from(elem.elements) : [elem]));
+  }
+  
+  const fields = collection.pushStack(elements.filter(elem =>
+    elem.name && rsubmittable.test(elem.nodeName) && !rsubmitterTypes.test(elem.type)
+  ));
+  
+  // Position of each element among the fields sharing its name
+  const positions = {};
+  
+  fields.each(function(i) {
+    const position = positions[this.name] = (this.name in positions ? positions[this.name] + 1 : 0);
+    let value = lookup(obj, this.name);
+    
+    if (value === undefined) return;
+    
+    if (rcheckableType.test(this.type)) {
+      if (typeof value === 'boolean') {
+        this.checked = value;
+        return;
+      }
+    } else if (isArray(value) && !(this.nodeName.toLowerCase() === 'select' && this.multiple)) {
+      value = value[position];
+      if (value === undefined) return;
+    }
+    
+    val(fields.eq(i), value);
+  });
+  
+  return collection;
+}
+
 export default {
   serialize,
-  serializeArray
+  serializeArray,
+  serializeObject,
+  deserialize
 };
\ No newline at end of file
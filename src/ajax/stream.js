@@ -0,0 +1,158 @@
+/**
+ * jQNext - Streaming Responses
+ * NDJSON and Server-Sent Events parsed as they arrive through the fetch body reader
+ */
+
+import { isPlainObject } from '../utilities/type.js';
+import { extend } from '../utilities/objects.js';
+import { ajax, ajaxSetup, ajaxPrefilter } from './core.js';
+
+/**
+ * Parse one Server-Sent Events block into a message
+ * @param {string} block - Lines of one event, without the blank separator line
+ * @param {Object} state - Parser state carrying the last event id
+ * @returns {Object|null} - { type, data, id, retry }, or null when the block has no data
+ */
+function parseEvent(block, state) {
+  const message = { type: 'message', data: '', id: state.lastEventId };
+  const data = [];
+  
+  block.split('\n').forEach(line => {
+    // Blank lines and comments
+    if (!line || line[0] === ':') return;
+    
+    const colon = line.indexOf(':');
+    const field = colon < 0 ? line : line.slice(0, colon);
+    let value = colon < 0 ? '' : line.slice(colon + 1);
+    if (value[0] === ' ') {
+      value = value.slice(1);
+    }
+    
+    if (field === 'data') {
+      data.push(value);
+    } else if (field === 'event') {
+      message.type = value;
+    } else if (field === 'id') {
+      message.id = state.lastEventId = value;
+    } else if (field === 'retry' && /^\d+$/.test(value)) {
+      message.retry = Number(value);
+    }
+  });
+  
+  if (!data.length) {
+    return null;
+  }
+  
+  message.data = data.join('\n');
+  return message;
+}
+
+/**
+ * Create an incremental parser for a streaming dataType
+ * @param {string} dataType - 'ndjson' or 'sse'
+ * @returns {Object} - Parser with push(text) and flush(), both returning complete records,
+ *   and reset() to start on a new response
+ */
+export function createStreamParser(dataType) {
+  const state = { lastEventId: undefined };
+  let buffer = '';
+  
+  const reset = () => {
+    buffer = '';
+    state.lastEventId = undefined;
+  };
+  
+  if (dataType === 'sse') {
+    return {
+      reset,
+      
+      push(text) {
+        buffer += text;
+        
+        // A trailing \r may be the first half of a \r\n split across chunks
+        const end = buffer[buffer.length - 1] === '\r' ? buffer.length - 1 : buffer.length;
+        const blocks = buffer.slice(0, end).replace(/\r\n?/g, '\n').split('\n\n');
+        buffer = blocks.pop() + buffer.slice(end);
+        
+        return blocks.map(block => parseEvent(block, state)).filter(Boolean);
+      },
+      
+      // An event left unterminated when the stream ends is discarded
+      flush() {
+        buffer = '';
+        return [];
+      }
+    };
+  }
+  
+  const parseLines = lines => lines
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+  
+  return {
+    reset,
+    
+    push(text) {
+      const lines = (buffer + text).split('\n');
+      buffer = lines.pop();
+      return parseLines(lines);
+    },
+    
+    // The last record may not end with a newline
+    flush() {
+      const lines = [buffer];
+      buffer = '';
+      return parseLines(lines);
+    }
+  };
+}
+
+/**
+ * Parse a complete streamed response
+ * @param {string} dataType - 'ndjson' or 'sse'
+ * @param {string} text
+ * @returns {Array} - All records
+ */
+function parseStream(dataType, text) {
+  const parser = createStreamParser(dataType);
+  return parser.push(text).concat(parser.flush());
+}
+
+ajaxSetup({
+  accepts: {
+    ndjson: 'application/x-ndjson, application/json',
+    sse: 'text/event-stream'
+  },
+  converters: {
+    'text ndjson': text => parseStream('ndjson', text),
+    'text sse': text => parseStream('sse', text)
+  }
+});
+
+// Records are handed to progress() callbacks as they arrive; ajax() resets
+// the parser for each attempt
+ajaxPrefilter('ndjson sse', function(s) {
+  s.streamParser = createStreamParser(s.dataTypes[0]);
+});
+
+/**
+ * Request a streamed response
+ * Each record is passed to progress() callbacks and the global ajaxChunk event;
+ * the request resolves with every record once the stream ends
+ * @param {string} url
+ * @param {Object} [options] - AJAX settings; dataType 'ndjson' (default) or 'sse'
+ * @returns {Object} jqXHR
+ */
+export function stream(url, options) {
+  if (isPlainObject(url)) {
+    options = url;
+    url = options.url;
+  }
+  
+  return ajax(url, extend({ dataType: 'ndjson' }, options));
+}
+
+export default {
+  createStreamParser,
+  stream
+};
@@ -0,0 +1,130 @@
+/**
+ * jQNext - AJAX Form Submission
+ * Submit forms through ajax() with the data the browser would have sent
+ */
+
+import { isPlainObject } from '../utilities/type.js';
+import { extend } from '../utilities/objects.js';
+import { param } from '../utilities/strings.js';
+import { ajax } from './core.js';
+
+// Buttons that submit their form
+const rsubmitterType = /^(?:submit|image)$/i;
+
+/**
+ * Resolve the submitter option to a submit button of the form
+ * @param {HTMLFormElement} form
+ * @param {Element|jQCollection} [submitter]
+ * @returns {Element|null}
+ */
+function getSubmitter(form, submitter) {
+  const elem = submitter && (submitter.nodeType ? submitter : submitter[0]);
+  return elem && elem.form === form && rsubmitterType.test(elem.type) ? elem : null;
+}
+
+/**
+ * Build the form data set, including the submitter and any extra data
+ * FormData leaves out disabled controls, including those in disabled fieldsets
+ * @param {HTMLFormElement} form
+ * @param {Element|null} submitter
+ * @param {Object} [extra] - Additional fields; arrays add one entry per item
+ * @returns {FormData}
+ */
+function buildFormData(form, submitter, extra) {
+  const formData = new FormData(form);
+  
+  if (submitter && submitter.name) {
+    if (submitter.type === 'image') {
+      formData.append(submitter.name + '.x', '0');
+      formData.append(submitter.name + '.y', '0');
+    } else {
+      formData.append(submitter.name, submitter.value);
+    }
+  }
+  
+  if (isPlainObject(extra)) {
+    for (const name in extra) {
+      [].concat(extra[name]).forEach(value => formData.append(name, value));
+    }
+  }
+  
+  return formData;
+}
+
+/**
+ * Encode form data for a non-multipart submission
+ * Files are sent by name, as browsers do
+ * @param {FormData} formData
+ * @param {string} enctype
+ * @returns {string}
+ */
+function encodeFormData(formData, enctype) {
+  const entries = [];
+  
+  formData.forEach((value, name) => {
+    entries.push({ name, value: typeof value === 'string' ? value : value.name });
+  });
+  
+  if (enctype === 'text/plain') {
+    return entries.map(({ name, value }) => name + '=' + value + '\r\n').join('');
+  }
+  
+  return param(entries);
+}
+
+/**
+ * Submit a form with ajax()
+ * The submitter's formaction/formmethod/formenctype override the form's own
+ * attributes, and explicit options override both
+ * @param {jQCollection} collection
+ * @param {Object} [options] - AJAX settings, plus `submitter` (the clicked button);
+ *   a `data` object adds fields to the form's own
+ * @returns {Object|jQCollection} - jqXHR, or the collection when it holds no form
+ */
+export function ajaxSubmit(collection, options = {}) {
+  const form = collection[0];
+  
+  if (!form || form.nodeName.toLowerCase() !== 'form') {
+    return collection;
+  }
+  
+  const submitter = getSubmitter(form, options.submitter);
+  
+  // The submitter's form* attribute when set, else the form's own property
+  const attribute = (name, property) => {
+    if (!submitter || !submitter.hasAttribute('form' + name)) {
+      return form[name];
+    }
+    const value = submitter[property];
+    return value !== undefined ? value : submitter.getAttribute('form' + name);
+  };
+  
+  const method = attribute('method', 'formMethod').toUpperCase();
+  const enctype = attribute('enctype', 'formEnctype').toLowerCase();
+  const formData = buildFormData(form, submitter, options.data);
+  const multipart = method !== 'GET' && enctype === 'multipart/form-data';
+  
+  const settings = extend({
+    url: attribute('action', 'formAction'),
+    type: method
+  }, options);
+  delete settings.submitter;
+  
+  if (multipart) {
+    // Let the browser set the multipart boundary
+    settings.data = formData;
+    settings.processData = false;
+    settings.contentType = false;
+  } else {
+    settings.data = encodeFormData(formData, enctype);
+    if (enctype === 'text/plain') {
+      settings.contentType = 'text/plain; charset=UTF-8';
+    }
+  }
+  
+  return ajax(settings);
+}
+
+export default {
+  ajaxSubmit
+};
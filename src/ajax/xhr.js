@@ -0,0 +1,118 @@
+/**
+ * jQNext - XMLHttpRequest Transport
+ * XHR-backed transport for requests the Fetch API cannot serve (upload progress, custom xhr factories)
+ */
+
+/**
+ * Default `xhr` setting: create a standard XMLHttpRequest
+ * @returns {XMLHttpRequest}
+ */
+export function createStandardXHR() {
+  return new XMLHttpRequest();
+}
+
+/**
+ * Build a progress event payload for the jqXHR notify channel
+ * @param {ProgressEvent} event
+ * @param {boolean} upload
+ * @returns {Object}
+ */
+function toProgress(event, upload) {
+  return {
+    loaded: event.loaded,
+    total: event.total,
+    lengthComputable: event.lengthComputable,
+    upload
+  };
+}
+
+/**
+ * Transport using the `xhr` factory from the settings
+ * @param {Object} s - Merged settings
+ * @param {Function} notify - Reports progress to the jqXHR
+ * @returns {Object} - Transport with send() and abort()
+ */
+export function xhrTransport(s, notify) {
+  let callback;
+  
+  return {
+    send(headers, complete) {
+      const xhr = s.xhr();
+      
+      xhr.open(s.type, s.url, s.async, s.username, s.password);
+      
+      // Apply custom fields if provided
+      if (s.xhrFields) {
+        for (const field in s.xhrFields) {
+          xhr[field] = s.xhrFields[field];
+        }
+      }
+      
+      // Override mime type if needed
+      if (s.mimeType && xhr.overrideMimeType) {
+        xhr.overrideMimeType(s.mimeType);
+      }
+      
+      for (const name in headers) {
+        xhr.setRequestHeader(name, headers[name]);
+      }
+      
+      // Listeners rather than on* properties, so a custom factory's own
+      // progress handlers are left in place
+      const onDownloadProgress = (event) => notify(toProgress(event, false));
+      const onUploadProgress = (event) => notify(toProgress(event, true));
+      
+      // Callback factory
+      const makeCallback = (type) => () => {
+        if (!callback) return;
+        
+        callback = xhr.onload = xhr.onerror = null;
+        xhr.removeEventListener('progress', onDownloadProgress);
+        if (xhr.upload) {
+          xhr.upload.removeEventListener('progress', onUploadProgress);
+        }
+        
+        if (type === 'abort') {
+          xhr.abort();
+        } else if (type === 'error') {
+          complete(xhr.status || 0, xhr.statusText || 'error');
+        } else {
+          // Binary responses are handed back untouched
+          const isText = (xhr.responseType || 'text') === 'text' && typeof xhr.responseText === 'string';
+          complete(
+            xhr.status,
+            xhr.statusText,
+            isText ? { text: xhr.responseText } : { binary: xhr.response },
+            xhr.getAllResponseHeaders()
+          );
+        }
+      };
+      
+      xhr.onload = makeCallback();
+      xhr.onerror = makeCallback('error');
+      
+      // Progress is only reported for async requests
+      if (s.async) {
+        xhr.addEventListener('progress', onDownloadProgress);
+        if (xhr.upload) {
+          xhr.upload.addEventListener('progress', onUploadProgress);
+        }
+      }
+      
+      callback = makeCallback('abort');
+      
+      xhr.send(s.hasContent && s.data || null);
+    },
+    
+    abort() {
+      if (callback) {
+        callback();
+      }
+    }
+  };
+}
+
+export default {
+  createStandardXHR,
+  xhrTransport
+};
\ No newline at end of file
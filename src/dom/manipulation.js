@@ -7,7 +7,16 @@ import { isString, isFunction, isElement } from '../utilities/type.js';
 import { parseHTML } from '../utilities/strings.js';
 import { cleanData, getDataValue, setData } from '../core/data.js';
 import { matchesWithPseudo } from '../selectors/pseudo.js';
-import { cloneHandlers } from '../events/core.js';
+import { cloneHandlers, removeEvents } from '../events/core.js';
+
+/**
+ * Remove the event handlers and data of elements leaving the document
+ * @param {Element[]} elems
+ */
+function cleanElements(elems) {
+  elems.forEach(removeEvents);
+  cleanData(elems);
+}
 
 /**
  * Get the document for an element
@@ -92,7 +101,7 @@ export function html(collection, value) {
     
     // Clean up events/data on children (only for elements/documents/fragments)
     if (this.nodeType === 1 || this.nodeType === 9 || this.nodeType === 11) {
-      cleanData(Array.from(this.getElementsByTagName('*')));
+      cleanElements(Array.from(this.getElementsByTagName('*')));
     }
     
     // Set new content
@@ -415,7 +424,7 @@ export function empty(collection) {
   return collection.each(function() {
     // Clean up data on children (only for elements/documents/fragments)
     if (this.nodeType === 1 || this.nodeType === 9 || this.nodeType === 11) {
-      cleanData(Array.from(this.getElementsByTagName('*')));
+      cleanElements(Array.from(this.getElementsByTagName('*')));
     }
     
     // Remove children
@@ -441,9 +450,9 @@ export function remove(collection, selector) {
     }
     
     // Clean up data and events
-    cleanData([elem]);
+    cleanElements([elem]);
     if (elem.nodeType === 1 || elem.nodeType === 9 || elem.nodeType === 11) {
-      cleanData(Array.from(elem.getElementsByTagName('*')));
+      cleanElements(Array.from(elem.getElementsByTagName('*')));
     }
     
     // Remove from DOM
@@ -492,9 +501,9 @@ export function replaceWith(collection, newContent, jQNext) {
     
     if (this.parentNode) {
       // Clean up
-      cleanData([this]);
+      cleanElements([this]);
       if (this.nodeType === 1 || this.nodeType === 9 || this.nodeType === 11) {
-        cleanData(Array.from(this.getElementsByTagName('*')));
+        cleanElements(Array.from(this.getElementsByTagName('*')));
       }
       
       // Insert new content
@@ -3,13 +3,30 @@
  * Event binding, delegation, and triggering with namespace support
  */
 
-import { isFunction, isString, isPlainObject } from '../utilities/type.js';
+import { isFunction, isString, isPlainObject, isWindow } from '../utilities/type.js';
 import { setInternalData, getInternalData, removeInternalData } from '../core/data.js';
 import { matchesWithPseudo } from '../selectors/pseudo.js';
 
 // Event handler storage using WeakMap
 const handlersStorage = new WeakMap();
 
+// Type of the native default action trigger() is running, whose event
+// has already been through the handlers
+let triggered;
+
+// Events dispatched by trigger() in native mode, mapped to their trigger event object
+const nativeTriggers = new WeakMap();
+
+// Native methods that dispatch the event they are named after
+const rselfDispatching = /^(?:click|focus|blur|select|reset)$/;
+
+// Stops the event a default action dispatches after a native dispatch has
+// already run the listeners, leaving only the action itself
+const stopDispatch = event => event.stopImmediatePropagation();
+
+// Focus triggered as focusin starts the path at the target itself
+const rfocusMorph = /^(?:focusinfocus|focusoutblur)$/;
+
 /**
  * Get handlers storage for an element (for jQuery._data compatibility)
  * @param {Element} elem
@@ -19,6 +36,13 @@ export function getHandlersStorage(elem) {
   return handlersStorage.get(elem);
 }
 
+// Settings exposed on $.event
+export const eventSettings = {
+  // trigger() dispatches real DOM events, seen by addEventListener listeners;
+  // a $.Event's own nativeDispatch property overrides this per call
+  nativeDispatch: false
+};
+
 // Special event types that need different handling
 export const special = {
   // Focus/blur don't bubble, use focusin/focusout
@@ -52,18 +76,6 @@ export const special = {
       return event.target.nodeName.toLowerCase() === 'a';
     }
   },
-  // Submit needs special handling to trigger native form submission
-  submit: {
-    trigger: function() {
-      if (this.nodeName && this.nodeName.toLowerCase() === 'form' && typeof this.submit === 'function') {
-        this.submit();
-        return false;
-      }
-    },
-    _default: function(event) {
-      return event.target.nodeName && event.target.nodeName.toLowerCase() === 'form';
-    }
-  },
   // Mouseenter/leave don't bubble, simulate with mouseover/out
   mouseenter: {
     delegateType: 'mouseover',
@@ -87,6 +99,18 @@ export const special = {
       }
     }
   },
+  // Triggered image load events must not bubble up to window.onload
+  load: {
+    noBubble: true
+  },
+  // A handler's return value becomes the unload confirmation message
+  beforeunload: {
+    postDispatch: function(event) {
+      if (event.result !== undefined && event.originalEvent) {
+        event.originalEvent.returnValue = event.result;
+      }
+    }
+  },
   // Focusin/focusout are handled natively in modern browsers
   focusin: {
     setup: function() {
@@ -137,18 +161,90 @@ export function parseEventTypes(types) {
 
 /**
  * Get or create handlers object for an element
+ * `listeners` holds the native listeners by listenerKey(), `setupTypes` the
+ * types whose special setup bound the element itself
  * @param {Element} elem
  * @returns {Object}
  */
 function getHandlers(elem) {
   let handlers = handlersStorage.get(elem);
   if (!handlers) {
-    handlers = { events: {}, handle: null };
+    handlers = { events: {}, handle: null, listeners: {}, setupTypes: {} };
     handlersStorage.set(elem, handlers);
   }
   return handlers;
 }
 
+// Keys of a native listener options object accepted by on()
+const listenerOptionKeys = ['passive', 'capture', 'once'];
+
+/**
+ * Check for a native listener options object such as { passive: true }
+ * @param {*} obj
+ * @returns {boolean}
+ */
+function isListenerOptions(obj) {
+  if (!isPlainObject(obj)) return false;
+  
+  const keys = Object.keys(obj);
+  return keys.length > 0 && keys.every(key =>
+    listenerOptionKeys.includes(key) && typeof obj[key] === 'boolean');
+}
+
+/**
+ * Key of the native listener a handler is dispatched from;
+ * there is one listener per (type, capture, passive) combination.
+ * Native events therefore run a phase's handlers grouped by listener, in
+ * the order the listeners were added, and in binding order within each;
+ * only handlers bound with different options are affected
+ * @param {Object} handleObj
+ * @returns {string}
+ */
+function listenerKey(handleObj) {
+  return handleObj.type +
+    (handleObj.capture ? ':capture' : '') +
+    (handleObj.passive === undefined ? '' : handleObj.passive ? ':passive' : ':active');
+}
+
+/**
+ * Add the native listener for a handler, unless its combination already has one
+ * Without an explicit passive option the browser's default applies
+ * @param {Element} elem
+ * @param {Object} handlers
+ * @param {Object} handleObj
+ */
+function listen(elem, handlers, handleObj) {
+  const key = listenerKey(handleObj);
+  
+  if (handlers.listeners[key]) return;
+  
+  const { type, capture, passive } = handleObj;
+  const listener = nativeEvent => handlers.handle(nativeEvent, key);
+  
+  handlers.listeners[key] = { type, capture, listener };
+  elem.addEventListener(type, listener, passive === undefined ? capture : { capture, passive });
+}
+
+/**
+ * Remove native listeners of a type that no remaining handler uses
+ * @param {Element} elem
+ * @param {Object} handlers
+ * @param {string} type
+ * @param {Array} remaining - Handlers still bound for the type
+ */
+function unlisten(elem, handlers, type, remaining) {
+  const used = remaining.map(listenerKey);
+  
+  for (const key in handlers.listeners) {
+    const { type: listenerType, capture, listener } = handlers.listeners[key];
+    
+    if (listenerType === type && !used.includes(key)) {
+      elem.removeEventListener(type, listener, capture);
+      delete handlers.listeners[key];
+    }
+  }
+}
+
 /**
  * Create a unified event handler function
  * @param {Element} elem
@@ -161,12 +257,25 @@ function createHandler(elem) {
     return handlers.handle;
   }
   
-  handlers.handle = function(nativeEvent) {
-    // Create jQuery-like event object
-    const event = fixEvent(nativeEvent);
+  // Native listeners pass their key so each only runs its own handlers;
+  // trigger() omits it and runs them all
+  handlers.handle = function(nativeEvent, key) {
+    if (triggered === nativeEvent.type) return;
+    
+    // Create jQuery-like event object; events dispatched by trigger()
+    // carry its event object, with the extra arguments
+    const triggerObj = nativeTriggers.get(nativeEvent);
+    const event = fixEvent(triggerObj || nativeEvent);
+    event.delegateTarget = elem;
     
     // Get handlers for this event type
     const typeHandlers = handlers.events[event.type] || [];
+    const specialType = special[event.type];
+    
+    // preDispatch can cancel the dispatch
+    if (specialType?.preDispatch?.call(elem, event) === false) {
+      return;
+    }
     
     // Copy to avoid modification during iteration
     const handlersCopy = typeHandlers.slice();
@@ -178,6 +287,11 @@ function createHandler(elem) {
     for (let i = 0; i < handlersCopy.length; i++) {
       const handleObj = handlersCopy[i];
       
+      // Handlers registered with other listener options
+      if (key !== undefined && listenerKey(handleObj) !== key) {
+        continue;
+      }
+      
       // Check namespace match
       if (event.namespace && !event.namespace.split('.').every(ns =>
         handleObj.namespace.includes(ns))) {
@@ -231,15 +345,9 @@ function createHandler(elem) {
       const extraArgs = event._extraArgs || [];
       const args = [event].concat(extraArgs);
       
-      // Check for special handler
-      const specialHandle = special[handleObj.origType]?.handle;
-      if (specialHandle) {
-        result = specialHandle.apply(target, args);
-      }
-      
-      if (result === undefined) {
-        result = handleObj.handler.apply(target, args);
-      }
+      // A special handle runs in place of the handler, and calls it when appropriate
+      const handle = special[handleObj.origType]?.handle || handleObj.handler;
+      result = handle.apply(target, args);
       
       if (result !== undefined) {
         event.result = result;
@@ -254,12 +362,44 @@ function createHandler(elem) {
       }
     }
     
+    specialType?.postDispatch?.call(elem, event);
+    
+    // Pass what the handlers did on to the dispatched event
+    if (triggerObj) {
+      if (event.isImmediatePropagationStopped()) {
+        nativeEvent.stopImmediatePropagation();
+      } else if (event.isPropagationStopped()) {
+        nativeEvent.stopPropagation();
+      }
+      if (event.isDefaultPrevented()) {
+        nativeEvent.preventDefault();
+      }
+    }
+    
     return event.result;
   };
   
   return handlers.handle;
 }
 
+/**
+ * Run an element's handlers for an event, as its native listener would
+ * Called with the element as `this`; used by special events that bind
+ * their own native listeners (jquery.mousewheel)
+ * @param {Event|Object} event - Native or jQuery event, its type selects the handlers
+ * @param {...*} args - Extra handler arguments
+ * @returns {*} - The last handler result
+ */
+export function dispatch(event, ...args) {
+  const handlers = handlersStorage.get(this);
+  
+  if (!handlers?.handle) return;
+  
+  const eventObj = fixEvent(event);
+  eventObj._extraArgs = args;
+  return handlers.handle(eventObj);
+}
+
 /**
  * Fix native event to jQuery-like event
  * @param {Event} nativeEvent
@@ -279,7 +419,10 @@ function fixEvent(nativeEvent) {
     currentTarget: nativeEvent.currentTarget,
     relatedTarget: nativeEvent.relatedTarget,
     timeStamp: nativeEvent.timeStamp || Date.now(),
-    namespace: '',
+    // Kept when wrapping a triggered $.Event
+    namespace: nativeEvent.namespace || '',
+    isTrigger: nativeEvent.isTrigger,
+    _extraArgs: nativeEvent._extraArgs,
     result: undefined,
     handleObj: null,
     data: null,
@@ -367,15 +510,19 @@ function fixEvent(nativeEvent) {
 
 /**
  * Bind event handler(s)
+ * Native listener options ({ passive, capture, once } with boolean values) can be
+ * given in place of the data or after the handler, so a data object of exactly
+ * that shape is taken as options
  * @param {jQCollection} collection
  * @param {string} types - Event type(s)
  * @param {string|Object|Function} selector - Selector for delegation, or data, or handler
  * @param {Object|Function} [data] - Data to pass to handler, or handler
  * @param {Function} [fn] - Handler function
  * @param {boolean} [one=false] - Only trigger once
+ * @param {Object} [options] - Native listener options
  * @returns {jQCollection}
  */
-export function on(collection, types, selector, data, fn, one = false) {
+export function on(collection, types, selector, data, fn, one = false, options) {
   // Handle object signature: on({ type: handler }, selector, data)
   if (isPlainObject(types)) {
     if (isString(selector)) {
@@ -388,11 +535,21 @@ export function on(collection, types, selector, data, fn, one = false) {
     }
     
     for (const type in types) {
-      on(collection, type, selector, data, types[type], one);
+      on(collection, type, selector, data, types[type], one, options);
     }
     return collection;
   }
   
+  // Take the listener options out of the arguments
+  const args = [selector, data, fn, options];
+  const optionsIndex = args.findIndex(isListenerOptions);
+  if (optionsIndex > -1) {
+    options = args.splice(optionsIndex, 1)[0];
+    [selector, data, fn] = args;
+  } else {
+    options = undefined;
+  }
+  
   // Normalize arguments
   if (data == null && fn == null) {
     // on(types, fn)
@@ -417,18 +574,21 @@ export function on(collection, types, selector, data, fn, one = false) {
     return collection;
   }
   
-  // Handle one-time binding
-  if (one) {
+  // A native `once` listener would be shared with other handlers,
+  // so `once` unbinds the handler as one() does
+  if (one || options?.once) {
     const origFn = fn;
     fn = function(event) {
       off(collection, event);
       return origFn.apply(this, arguments);
     };
     fn.guid = origFn.guid || (origFn.guid = on.guid++);
+    // Reported by $.event.inspect()
+    fn.origFn = origFn;
   }
   
   return collection.each(function() {
-    addHandler(this, types, fn, data, selector);
+    addHandler(this, types, fn, data, selector, options);
   });
 }
 
@@ -437,7 +597,7 @@ on.guid = 1;
 /**
  * Add handler to element
  */
-function addHandler(elem, types, handler, data, selector) {
+function addHandler(elem, types, handler, data, selector, options) {
   const parsedTypes = parseEventTypes(types);
   const handlers = getHandlers(elem);
   const elemHandle = createHandler(elem);
@@ -447,12 +607,11 @@ function addHandler(elem, types, handler, data, selector) {
     handler.guid = on.guid++;
   }
   
-  parsedTypes.forEach(({ type, namespaces, namespace, origType }) => {
-    // Get special handling
-    const specialType = special[type];
-    
-    // Determine the actual event type to listen for
-    const bindType = selector && specialType?.delegateType || type;
+  parsedTypes.forEach(({ type, namespaces, namespace }) => {
+    // Determine the actual event type to listen for,
+    // then use the special handling of that type
+    const bindType = (selector ? special[type]?.delegateType : special[type]?.bindType) || type;
+    const specialType = special[bindType];
     
     // Create handler object
     const handleObj = {
@@ -463,24 +622,35 @@ function addHandler(elem, types, handler, data, selector) {
       selector,
       namespace,
       namespaces,
-      guid: handler.guid
+      guid: handler.guid,
+      capture: !!options?.capture,
+      passive: options?.passive
     };
     
-    // Call special add callback (used by plugins like jquery.hotkeys)
-    // This allows plugins to modify handleObj (e.g., wrap the handler)
-    specialType?.add?.call(elem, handleObj);
-    
     // Initialize handlers array for this type if needed
     if (!handlers.events[bindType]) {
       handlers.events[bindType] = [];
       
-      // Check for special setup
-      if (!specialType?.setup?.call(elem, data, namespaces, elemHandle)) {
-        // Use addEventListener
-        elem.addEventListener(bindType, elemHandle, false);
+      // A special setup binds the element itself unless it returns false
+      if (specialType?.setup && specialType.setup.call(elem, data, namespaces, elemHandle) !== false) {
+        handlers.setupTypes[bindType] = true;
       }
     }
     
+    // Call special add callback (used by plugins like jquery.hotkeys)
+    // This allows plugins to modify handleObj (e.g., wrap the handler)
+    if (specialType?.add) {
+      specialType.add.call(elem, handleObj);
+      if (!handleObj.handler.guid) {
+        handleObj.handler.guid = handler.guid;
+      }
+    }
+    
+    // Use addEventListener
+    if (!handlers.setupTypes[bindType]) {
+      listen(elem, handlers, handleObj);
+    }
+    
     handlers.events[bindType].push(handleObj);
   });
 }
@@ -498,10 +668,12 @@ export function off(collection, types, selector, fn) {
   if (types && types.handleObj) {
     // off(event) - called from one-time handler
     const event = types;
+    const handleObj = event.handleObj;
     // Directly call removeHandler instead of recursively calling off
     // since we don't have a real collection with .each()
-    removeHandler(event.currentTarget, event.handleObj.origType,
-        event.handleObj.handler, event.handleObj.selector);
+    removeHandler(event.delegateTarget || event.currentTarget,
+        handleObj.namespace ? handleObj.origType + '.' + handleObj.namespace : handleObj.origType,
+        handleObj.handler, handleObj.selector);
     return collection;
   }
   
@@ -534,61 +706,89 @@ function removeHandler(elem, types, handler, selector) {
   const handlers = handlersStorage.get(elem);
   if (!handlers) return;
   
-  // If no types specified, remove all
-  if (!types) {
-    for (const type in handlers.events) {
-      removeByType(elem, handlers, type, handler, selector);
-    }
-    return;
-  }
-  
-  const parsedTypes = parseEventTypes(types);
+  const parsedTypes = types ? parseEventTypes(types) : [{ type: '', namespace: '' }];
   
   parsedTypes.forEach(({ type, namespace }) => {
-    // Remove for specific type or all types if type is empty
-    const typesToRemove = type ? [type] : Object.keys(handlers.events);
+    // No type (all types, or a namespace only): every bound type
+    if (!type) {
+      for (const t in handlers.events) {
+        removeByType(elem, handlers, t, handler, selector, namespace);
+      }
+      return;
+    }
     
-    typesToRemove.forEach(t => {
-      removeByType(elem, handlers, t, handler, selector, namespace);
-    });
+    // Handlers are stored under their bind/delegate type
+    const specialType = special[type];
+    const bindType = (selector ? specialType?.delegateType : specialType?.bindType) || type;
+    
+    removeByType(elem, handlers, bindType, handler, selector, namespace, type, specialType);
   });
 }
 
 /**
  * Remove handlers by type
+ * Removed handlers go through special.remove; special.teardown runs when
+ * the last handler of the type is gone
+ * @param {Element} elem
+ * @param {Object} handlers
+ * @param {string} type - Type the handlers are stored under
+ * @param {Function} [handler]
+ * @param {string} [selector] - '**' matches any delegated handler
+ * @param {string} [namespace]
+ * @param {string} [origType] - Only remove handlers bound as this type
+ * @param {Object} [specialType] - Special handling for the removal
  */
-function removeByType(elem, handlers, type, handler, selector, namespace) {
+function removeByType(elem, handlers, type, handler, selector, namespace, origType, specialType = special[type]) {
   const events = handlers.events[type];
   if (!events) return;
   
+  const namespaces = namespace ? namespace.split('.') : [];
+  const removed = [];
+  
   const remaining = events.filter(handleObj => {
-    // Check if this handler should be removed
-    if (handler && handleObj.guid !== handler.guid) {
-      return true;
-    }
-    if (selector && handleObj.selector !== selector) {
-      return true;
-    }
-    if (namespace) {
-      const nsArray = namespace.split('.');
-      if (!nsArray.every(ns => handleObj.namespaces.includes(ns))) {
-        return true;
-      }
+    const matches = (!origType || handleObj.origType === origType) &&
+      (!handler || handleObj.guid === handler.guid) &&
+      (!selector || handleObj.selector === selector || (selector === '**' && !!handleObj.selector)) &&
+      namespaces.every(ns => handleObj.namespaces.includes(ns));
+    
+    if (matches) {
+      removed.push(handleObj);
     }
-    return false;
+    return !matches;
   });
   
+  if (!removed.length) return;
+  
   handlers.events[type] = remaining;
   
+  removed.forEach(handleObj => specialType?.remove?.call(elem, handleObj));
+  
   // Remove listener if no handlers left
   if (!remaining.length) {
-    const specialType = special[type];
+    const tornDown = specialType?.teardown &&
+      specialType.teardown.call(elem, namespaces, handlers.handle) !== false;
     
-    if (!specialType?.teardown?.call(elem, namespace, handlers.handle)) {
+    // A special teardown unbinds what its setup bound
+    if (handlers.setupTypes[type] && !tornDown) {
       elem.removeEventListener(type, handlers.handle, false);
     }
     
     delete handlers.events[type];
+    delete handlers.setupTypes[type];
+  }
+  
+  unlisten(elem, handlers, type, remaining);
+}
+
+/**
+ * Remove every handler bound to an element, as when it leaves the document
+ * Special types get their remove and teardown hooks
+ * @param {Element} elem
+ */
+export function removeEvents(elem) {
+  if (handlersStorage.has(elem)) {
+    removeHandler(elem);
+    handlersStorage.delete(elem);
   }
 }
 
@@ -599,10 +799,11 @@ function removeByType(elem, handlers, type, handler, selector, namespace) {
  * @param {string|Object|Function} selector
  * @param {Object|Function} [data]
  * @param {Function} [fn]
+ * @param {Object} [options] - Native listener options
  * @returns {jQCollection}
  */
-export function one(collection, types, selector, data, fn) {
-  return on(collection, types, selector, data, fn, true);
+export function one(collection, types, selector, data, fn, options) {
+  return on(collection, types, selector, data, fn, true, options);
 }
 
 /**
@@ -634,14 +835,23 @@ export function triggerHandler(collection, event, data) {
 
 /**
  * Core trigger function
+ * Builds the propagation path up front, as jQuery 2 does: the target, its
+ * ancestors, the document and the window
+ * @param {Element} elem
+ * @param {string|Object} event
+ * @param {*} data
+ * @param {boolean} propagate - Bubble to ancestors and run the default action
  */
 function triggerEvent(elem, event, data, propagate) {
+  // Don't trigger on text and comment nodes
+  if (elem.nodeType === 3 || elem.nodeType === 8) return;
+  
   const eventType = isString(event) ? event : event.type;
   const parsedTypes = parseEventTypes(eventType);
   
   if (!parsedTypes.length) return;
   
-  const { type, namespace, origType } = parsedTypes[0];
+  const { type, namespace } = parsedTypes[0];
   
   // Create event object
   let eventObj;
@@ -652,10 +862,6 @@ function triggerEvent(elem, event, data, propagate) {
   if (isJQueryEvent) {
     // Already a jQuery-like event object, use it directly
     eventObj = event;
-    // Ensure target is set
-    if (!eventObj.target) {
-      eventObj.target = elem;
-    }
   } else if (isPlainObject(event) || event instanceof Event) {
     eventObj = fixEvent(event instanceof Event ? event : { type, target: elem, ...event });
   } else {
@@ -668,6 +874,8 @@ function triggerEvent(elem, event, data, propagate) {
   
   eventObj.type = type;
   eventObj.namespace = namespace;
+  eventObj.result = undefined;
+  eventObj.isTrigger = propagate ? 3 : 2;
   
   // Ensure target is always set (CustomEvent doesn't have target until dispatched)
   if (!eventObj.target) {
@@ -678,30 +886,132 @@ function triggerEvent(elem, event, data, propagate) {
   // data can be an array that should be spread as extra args
   eventObj._extraArgs = data != null ? (Array.isArray(data) ? data : [data]) : [];
   
-  // Trigger on element
-  const handlers = handlersStorage.get(elem);
-  if (handlers?.handle) {
-    handlers.handle(eventObj);
+  const args = [eventObj].concat(eventObj._extraArgs);
+  const specialType = special[type] || {};
+  
+  // A special trigger returning false has run the native behaviour itself,
+  // whose events reach the handlers through their native listeners
+  if (propagate && specialType.trigger?.apply(elem, args) === false) {
+    return;
   }
   
-  // Propagate to parent if needed
-  if (propagate && !eventObj.isPropagationStopped() && elem.parentNode) {
-    triggerEvent(elem.parentNode, eventObj, data, true);
+  // Handlers bound through a special bindType are stored under that type on
+  // the target; ancestors see the delegateType
+  const bubbleType = specialType.delegateType || type;
+  const path = [elem];
+  
+  if (propagate && !specialType.noBubble && !isWindow(elem)) {
+    let cur = rfocusMorph.test(bubbleType + type) ? elem : elem.parentNode;
+    let last = elem;
+    
+    for (; cur; cur = cur.parentNode) {
+      path.push(cur);
+      last = cur;
+    }
+    
+    // Only a connected element's path reaches the window
+    if (last === (elem.ownerDocument || document)) {
+      path.push(last.defaultView || window);
+    }
   }
   
-  // Check special trigger - if it returns false, it handles native behavior itself
-  const specialTrigger = special[type]?.trigger;
-  const specialHandled = specialTrigger?.call(elem, data) === false;
-  
-  // Trigger native event if applicable (unless special handler did it)
-  if (propagate && !eventObj.isDefaultPrevented() && !specialHandled) {
-    const nativeEventName = 'on' + type;
-    if (elem[nativeEventName] && isFunction(elem[type])) {
-      // Temporarily prevent re-triggering
-      const old = elem[nativeEventName];
-      elem[nativeEventName] = null;
+  const nativeDispatch = propagate && (eventObj.nativeDispatch ?? eventSettings.nativeDispatch) &&
+    !specialType.setup && !specialType.bindType && !specialType.delegateType;
+  
+  if (nativeDispatch) {
+    // The browser runs the path, reaching addEventListener listeners too;
+    // jQNext's own listeners pick up this event object through nativeTriggers
+    const nativeEvent = new CustomEvent(type, {
+      bubbles: !specialType.noBubble,
+      cancelable: true,
+      detail: data
+    });
+    nativeTriggers.set(nativeEvent, eventObj);
+    
+    // The browser only runs inline handlers of the types it knows,
+    // so run the others from a listener at their level
+    const inlineName = 'on' + type;
+    const knownInline = inlineName in HTMLBodyElement.prototype || inlineName in Document.prototype;
+    const inlineListeners = path
+      .filter(cur => !knownInline && isFunction(cur[inlineName]))
+      .map(cur => {
+        const listener = () => {
+          eventObj.result = cur[inlineName].apply(cur, args);
+          if (eventObj.result === false) {
+            eventObj.preventDefault();
+          }
+        };
+        cur.addEventListener(type, listener);
+        return () => cur.removeEventListener(type, listener);
+      });
+    
+    try {
+      elem.dispatchEvent(nativeEvent);
+    } finally {
+      inlineListeners.forEach(remove => remove());
+    }
+    
+    if (nativeEvent.defaultPrevented && !eventObj.isDefaultPrevented()) {
+      eventObj.preventDefault();
+    }
+  } else {
+    // Run jQNext and inline `on` handlers at each level until propagation stops
+    for (let i = 0; i < path.length && !eventObj.isPropagationStopped(); i++) {
+      const cur = path[i];
+      
+      eventObj.type = i > 0 ? bubbleType : (specialType.bindType || type);
+      
+      const handlers = handlersStorage.get(cur);
+      if (handlers?.handle && handlers.events[eventObj.type]) {
+        handlers.handle(eventObj);
+      }
+      
+      const inline = cur['on' + type];
+      if (isFunction(inline)) {
+        eventObj.result = inline.apply(cur, args);
+        if (eventObj.result === false) {
+          eventObj.preventDefault();
+        }
+      }
+    }
+  }
+  
+  eventObj.type = type;
+  
+  // The default action belongs to the target; special._default claims it
+  // unless it returns false
+  if (propagate && !eventObj.isDefaultPrevented() &&
+      (!specialType._default ||
+        specialType._default.apply(path[path.length - 1], args) === false) &&
+      isFunction(elem[type]) && !isWindow(elem)) {
+    // Don't re-run the inline handler or, through the native event, our own
+    const inlineName = 'on' + type;
+    const old = elem[inlineName];
+    if (old) {
+      elem[inlineName] = null;
+    }
+    
+    // After a native dispatch, methods that fire their own event (click(),
+    // reset()) would reach addEventListener listeners a second time; the
+    // event is stopped at the top of the path, which doesn't cancel the
+    // action. select() fires its event later, so it isn't caught
+    const root = path[path.length - 1];
+    const stop = nativeDispatch && rselfDispatching.test(type);
+    if (stop) {
+      root.addEventListener(type, stopDispatch, true);
+    }
+    
+    triggered = type;
+    try {
       elem[type]();
-      elem[nativeEventName] = old;
+    } finally {
+      triggered = undefined;
+      if (stop) {
+        root.removeEventListener(type, stopDispatch, true);
+      }
+      if (old) {
+        elem[inlineName] = old;
+      }
     }
   }
   
@@ -733,7 +1043,7 @@ export function cloneHandlers(source, dest) {
   
   // Get or create handlers for dest
   const destHandlers = getHandlers(dest);
-  const destHandle = createHandler(dest);
+  createHandler(dest);
   
   // Clone each event type
   for (const type in sourceHandlers.events) {
@@ -741,8 +1051,6 @@ export function cloneHandlers(source, dest) {
     
     if (!destHandlers.events[type]) {
       destHandlers.events[type] = [];
-      // Add event listener on dest
-      dest.addEventListener(type, destHandle, false);
     }
     
     // Clone each handler object
@@ -755,9 +1063,13 @@ export function cloneHandlers(source, dest) {
         selector: handleObj.selector,
         namespace: handleObj.namespace,
         namespaces: handleObj.namespaces ? handleObj.namespaces.slice() : [],
-        guid: handleObj.guid
+        guid: handleObj.guid,
+        capture: handleObj.capture,
+        passive: handleObj.passive
       };
       
+      // Add event listener on dest
+      listen(dest, destHandlers, clonedHandleObj);
       destHandlers.events[type].push(clonedHandleObj);
     });
   }
@@ -769,6 +1081,8 @@ export default {
   one,
   trigger,
   triggerHandler,
+  dispatch,
+  removeEvents,
   special,
   parseEventTypes,
   cloneHandlers
@@ -0,0 +1,144 @@
+/**
+ * jQNext - Event Debugging
+ * Handler introspection and a dev-mode detector for handlers left on removed nodes
+ */
+
+import { isWindow } from '../utilities/type.js';
+import { getHandlersStorage } from './core.js';
+
+// Nodes removed from the document while holding handlers, as WeakRefs
+// so the detector doesn't keep them alive itself
+let removed = [];
+let observer = null;
+
+/**
+ * Check whether an element has handlers bound
+ * @param {Element} elem
+ * @returns {boolean}
+ */
+function hasHandlers(elem) {
+  const handlers = getHandlersStorage(elem);
+  return !!handlers && Object.keys(handlers.events).some(type => handlers.events[type].length);
+}
+
+/**
+ * List the handlers bound to elements
+ * @param {Element|jQCollection|Array} elems - Element(s), window or document
+ * @returns {Array} - { elem, type, namespaces, selector, guid, handler, data, capture, passive }
+ */
+export function inspect(elems) {
+  const list = elems && (elems.nodeType || isWindow(elems)) ? [elems] : Array.from(elems || []);
+  const result = [];
+  
+  list.forEach(elem => {
+    const handlers = getHandlersStorage(elem);
+    if (!handlers) return;
+    
+    for (const bindType in handlers.events) {
+      handlers.events[bindType].forEach(handleObj => {
+        result.push({
+          elem,
+          type: handleObj.origType,
+          bindType,
+          namespaces: handleObj.namespaces.slice(),
+          selector: handleObj.selector || undefined,
+          guid: handleObj.guid,
+          // one() and `once` handlers report the function that was bound
+          handler: handleObj.handler.origFn || handleObj.handler,
+          data: handleObj.data,
+          capture: handleObj.capture,
+          passive: handleObj.passive
+        });
+      });
+    }
+  });
+  
+  return result;
+}
+
+/**
+ * Record the removed nodes, and their descendants, that still hold handlers
+ * .remove(), .empty() and .html() unbind before removing, so their nodes never show up;
+ * .detach()ed nodes do until they are put back
+ * @param {Array} records - MutationObserver records
+ */
+function collect(records) {
+  records.forEach(record => {
+    record.removedNodes.forEach(node => {
+      if (node.nodeType !== 1 || node.isConnected) return;
+      
+      [node].concat(Array.from(node.querySelectorAll('*'))).forEach(elem => {
+        if (hasHandlers(elem)) {
+          removed.push(new WeakRef(elem));
+        }
+      });
+    });
+  });
+}
+
+/**
+ * The leak detector, exposed as $.event.leaks
+ */
+export const leaks = {
+  /**
+   * Start watching the document for nodes removed with their handlers still bound
+   * @param {Document} [doc]
+   * @returns {Object} - The leak detector
+   */
+  enable(doc = document) {
+    if (!observer) {
+      observer = new MutationObserver(collect);
+      observer.observe(doc, { childList: true, subtree: true });
+    }
+    return leaks;
+  },
+  
+  /**
+   * Stop watching and forget the nodes recorded so far
+   * @returns {Object} - The leak detector
+   */
+  disable() {
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    removed = [];
+    return leaks;
+  },
+  
+  /**
+   * Report the removed nodes that still hold handlers
+   * Nodes put back into the document, unbound since, or garbage collected are left out
+   * @returns {Array} - { elem, handlers } with inspect() entries
+   */
+  report() {
+    // Removals since the last mutation callback
+    if (observer) {
+      collect(observer.takeRecords());
+    }
+    
+    const seen = new Set();
+    const result = [];
+    
+    removed = removed.filter(ref => {
+      const elem = ref.deref();
+      
+      if (!elem || elem.isConnected || !hasHandlers(elem)) {
+        return false;
+      }
+      
+      if (!seen.has(elem)) {
+        seen.add(elem);
+        result.push({ elem, handlers: inspect(elem) });
+      }
+      return true;
+    });
+    
+    return result;
+  }
+};
+
+export default {
+  inspect,
+  leaks
+};
@@ -5,6 +5,8 @@
 
 export * from './core.js';
 export * from './shortcuts.js';
+export * from './debug.js';
 
 export { default as eventsCore } from './core.js';
-export { default as eventsShortcuts } from './shortcuts.js';
\ No newline at end of file
+export { default as eventsShortcuts } from './shortcuts.js';
+export { default as eventsDebug } from './debug.js';
\ No newline at end of file
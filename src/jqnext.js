@@ -40,8 +40,9 @@ import * as cssModule from './dom/css.js';
 import { cssHooks } from './dom/css.js';
 
 // Events
-import { on, off, one, trigger, triggerHandler, special, parseEventTypes, getHandlersStorage } from './events/core.js';
+import { on, off, one, trigger, triggerHandler, dispatch, special, eventSettings, parseEventTypes, getHandlersStorage } from './events/core.js';
 import * as eventShortcuts from './events/shortcuts.js';
+import { inspect as inspectEvents, leaks } from './events/debug.js';
 
 // Effects
 import {
@@ -54,10 +55,15 @@ import {
 
 // AJAX
 import {
-  ajax, ajaxSetup, ajaxPrefilter, ajaxTransport, ajaxSettings,
-  get, post, getJSON, getScript, load
+  ajax, ajaxSetup, ajaxPrefilter, ajaxTransport, ajaxSettings, lastModified, etag,
+  get, post, getJSON, postJSON, putJSON, patchJSON, deleteJSON, getScript, load
 } from './ajax/core.js';
-import { serialize, serializeArray } from './ajax/serialize.js';
+import { serialize, serializeArray, serializeObject, deserialize } from './ajax/serialize.js';
+import { ajaxSubmit } from './ajax/submit.js';
+import { ajaxQueue } from './ajax/queue.js';
+import './ajax/jsonp.js'; // Registers the JSONP prefilter and transport
+import './ajax/mock.js'; // Adds $.ajax.mock and its transport
+import { stream } from './ajax/stream.js';
 
 // Compatibility
 import { ui, widget, Widget, registerPlugin, plugin } from './compat/jquery-ui.js';
@@ -189,10 +195,18 @@ jQNext.ajax = ajax;
 jQNext.ajaxSetup = ajaxSetup;
 jQNext.ajaxPrefilter = ajaxPrefilter;
 jQNext.ajaxTransport = ajaxTransport;
+jQNext.ajaxQueue = ajaxQueue;
+jQNext.stream = stream;
 jQNext.ajaxSettings = ajaxSettings;
+jQNext.lastModified = lastModified;
+jQNext.etag = etag;
 jQNext.get = get;
 jQNext.post = post;
 jQNext.getJSON = getJSON;
+jQNext.postJSON = postJSON;
+jQNext.putJSON = putJSON;
+jQNext.patchJSON = patchJSON;
+jQNext.deleteJSON = deleteJSON;
 jQNext.getScript = getScript;
 
 // Animation
@@ -292,9 +306,15 @@ jQNext.Event.prototype = {
 function returnTrue() { return true; }
 function returnFalse() { return false; }
 
-// Event special
-jQNext.event = {
+// Event special; shares the settings object read by trigger()
+jQNext.event = extend(eventSettings, {
   special,
+  dispatch,
+  // Handlers bound to an element, selector or collection
+  inspect: function(target) {
+    return inspectEvents(jQNext(target));
+  },
+  leaks,
   // Event properties that should be copied - excluded 'type' (handled separately per tests)
   props: ('altKey bubbles cancelable ctrlKey currentTarget detail eventPhase ' +
     'metaKey relatedTarget shiftKey target timeStamp view which').split(' '),
@@ -314,7 +334,7 @@ jQNext.event = {
       elem.dispatchEvent(new CustomEvent(type, { detail: e, bubbles: true, cancelable: true }));
     }
   }
-};
+});
 
 // Expression/Sizzle compatibility
 jQNext.expr = {
@@ -674,14 +694,14 @@ extend(jQNext.fn, {
   },
   
   // Events
-  on: function(types, selector, data, fn) {
-    return on(this, types, selector, data, fn);
+  on: function(types, selector, data, fn, options) {
+    return on(this, types, selector, data, fn, false, options);
   },
   off: function(types, selector, fn) {
     return off(this, types, selector, fn);
   },
-  one: function(types, selector, data, fn) {
-    return one(this, types, selector, data, fn);
+  one: function(types, selector, data, fn, options) {
+    return one(this, types, selector, data, fn, options);
   },
   trigger: function(event, data) {
     return trigger(this, event, data);
@@ -794,8 +814,20 @@ extend(jQNext.fn, {
   serializeArray: function() {
     return serializeArray(this);
   },
+  serializeObject: function() {
+    return serializeObject(this);
+  },
+  deserialize: function(obj) {
+    return deserialize(this, obj);
+  },
+  ajaxSubmit: function(options) {
+    return ajaxSubmit(this, options);
+  },
   
   // AJAX events
+  ajaxChunk: function(handler) {
+    return this.on('ajaxChunk', handler);
+  },
   ajaxComplete: function(handler) {
     return this.on('ajaxComplete', handler);
   },
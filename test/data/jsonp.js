@@ -0,0 +1 @@
+jsonpFixtureCallback({ "source": "jsonp" });
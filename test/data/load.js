@@ -0,0 +1,2 @@
+window.loadFixtureExternal = 'external';
+window.loadFixtureOrder.push('external');
@@ -9,6 +9,10 @@ if (typeof window.presideJQuery !== 'undefined') {
     window.$ = window.jQuery || window.jQNext;
 }
 
+// jQNext-only extensions are skipped when the suite runs against jQuery
+var isJQNext = /jqnext/.test($.fn.jquery);
+var jqnextTest = isJQNext ? QUnit.test : QUnit.skip;
+
         // ==========================================
         // CORE MODULE
         // ==========================================
@@ -504,6 +508,76 @@ if (typeof window.presideJQuery !== 'undefined') {
             }, 50);
         });
         
+        jqnextTest('.on() with native listener options', function(assert) {
+            var $outer = $('<div><span></span></div>').appendTo('#qunit-fixture');
+            var outer = $outer[0];
+            var inner = outer.firstChild;
+            var order = [];
+            var added = [];
+            var removed = [];
+            var addEventListener = outer.addEventListener;
+            var removeEventListener = outer.removeEventListener;
+            
+            outer.addEventListener = function(type, listener, options) {
+                added.push([type, options]);
+                return addEventListener.apply(this, arguments);
+            };
+            outer.removeEventListener = function(type, listener, options) {
+                removed.push([type, options]);
+                return removeEventListener.apply(this, arguments);
+            };
+            
+            $outer.on('click', function() { order.push('bubble'); });
+            $outer.on('click.opts', function() { order.push('capture'); }, { capture: true });
+            $outer.on('click.opts', 'span', { capture: true }, function() { order.push('delegated capture'); });
+            $(inner).on('click', function() { order.push('target'); });
+            $outer.on('touchmove.opts', { passive: true }, function() {});
+            $outer.on('touchmove.opts', { passive: true }, function() {});
+            
+            assert.deepEqual(added, [
+                ['click', false],
+                ['click', true],
+                ['touchmove', { capture: false, passive: true }]
+            ], 'One native listener per type and options');
+            
+            inner.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+            assert.deepEqual(order, ['delegated capture', 'capture', 'target', 'bubble'], 'Capture handlers run in the capture phase');
+            
+            order = [];
+            $outer.trigger('click');
+            assert.deepEqual(order, ['bubble', 'capture'], 'trigger() runs every handler once, in binding order');
+            
+            $outer.off('.opts');
+            assert.deepEqual(removed, [['click', true], ['touchmove', false]], 'off() by namespace removes the native listeners');
+            
+            order = [];
+            inner.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+            assert.deepEqual(order, ['target', 'bubble'], 'Remaining handlers still bound');
+            
+            var count = 0;
+            $outer.on('oncetest', function() { count++; }, { once: true });
+            $outer.trigger('oncetest').trigger('oncetest');
+            assert.equal(count, 1, 'once: true fires once');
+            
+            order = [];
+            $outer.on('ordertest', function() { order.push('first'); });
+            $outer.on('ordertest', { passive: true }, function() { order.push('passive'); });
+            $outer.on('ordertest', function() { order.push('third'); });
+            outer.dispatchEvent(new CustomEvent('ordertest'));
+            assert.deepEqual(order, ['first', 'third', 'passive'],
+                'Native events run handlers grouped by listener options, in binding order within each group');
+            order = [];
+            $outer.trigger('ordertest');
+            assert.deepEqual(order, ['first', 'passive', 'third'], 'trigger() keeps binding order across options');
+            
+            var received;
+            $outer.on('datatest', { capture: 'yes' }, function(event) { received = event.data; });
+            $outer.trigger('datatest');
+            assert.deepEqual(received, { capture: 'yes' }, 'Objects with non-boolean values stay event data');
+            
+            $outer.remove();
+        });
+        
         QUnit.test('.click()', function(assert) {
             assert.expect(1);
             var done = assert.async();
@@ -528,6 +602,253 @@ if (typeof window.presideJQuery !== 'undefined') {
             $('#test-div').off('click');
         });
         
+        QUnit.test('.trigger() propagation path', function(assert) {
+            var $outer = $('<div><p><span></span></p></div>').appendTo('#qunit-fixture');
+            var p = $outer.find('p')[0];
+            var span = $outer.find('span')[0];
+            var log = [];
+            
+            var record = function(name) {
+                return function(e) {
+                    log.push(name + ':' + e.type);
+                };
+            };
+            
+            $(span).on('ping', record('span'));
+            $outer.on('ping', record('div'));
+            $(document).on('ping', record('document'));
+            $(window).on('ping', record('window'));
+            p.onping = function(e) {
+                log.push('inline:' + e.type);
+            };
+            span.ping = function() {
+                log.push('default');
+            };
+            
+            $(span).trigger('ping');
+            assert.deepEqual(log, ['span:ping', 'inline:ping', 'div:ping', 'document:ping', 'window:ping', 'default'],
+                'Handlers and inline handlers run from the target up to window, then the default action');
+            
+            log = [];
+            $(span).triggerHandler('ping');
+            assert.deepEqual(log, ['span:ping'], 'triggerHandler() runs the target\'s handlers only');
+            
+            log = [];
+            p.onping = function() {
+                return false;
+            };
+            $(span).trigger('ping');
+            assert.deepEqual(log, ['span:ping', 'div:ping', 'document:ping', 'window:ping'],
+                'An inline handler returning false prevents the default action');
+            
+            log = [];
+            p.onping = null;
+            $(p).on('ping', function(e) {
+                e.stopPropagation();
+            });
+            $(span).trigger('ping');
+            assert.deepEqual(log, ['span:ping', 'default'], 'Stopping propagation ends the path');
+            
+            log = [];
+            $outer.on('ping.ns', record('div.ns'));
+            $(span).trigger('ping.ns');
+            assert.deepEqual(log, ['div.ns:ping', 'default'], 'Namespaced triggers reach ancestor handlers in the namespace');
+            
+            log = [];
+            $.event.special.ping = { noBubble: true };
+            $(span).trigger('ping');
+            assert.deepEqual(log, ['span:ping', 'default'], 'noBubble keeps the event on the target');
+            
+            $.event.special.ping = {
+                _default: function(e) {
+                    log.push('_default:' + (this === window));
+                }
+            };
+            log = [];
+            $(p).off('ping');
+            $(span).trigger('ping');
+            assert.deepEqual(log, ['span:ping', 'div:ping', 'div.ns:ping', 'document:ping', 'window:ping', '_default:true'],
+                'special._default claims the default action');
+            
+            delete $.event.special.ping;
+            $(document).off('ping');
+            $(window).off('ping');
+            $outer.remove();
+        });
+        
+        jqnextTest('.trigger() native dispatch', function(assert) {
+            var $outer = $('<div><span></span></div>').appendTo('#qunit-fixture');
+            var outer = $outer[0];
+            var span = $outer.find('span')[0];
+            var log = [];
+            
+            var listener = function(e) {
+                log.push('native:' + JSON.stringify(e.detail));
+            };
+            $(span).on('ping', function(e, a, b) {
+                log.push('span:' + a + b);
+            });
+            $outer.on('ping', function(e, a, b) {
+                log.push('div:' + a + b + ':' + e.isTrigger);
+            });
+            outer.addEventListener('ping', listener);
+            
+            $(span).trigger('ping', ['x', 'y']);
+            assert.deepEqual(log, ['span:xy', 'div:xy:3'], 'trigger() calls jQNext handlers only by default');
+            
+            log = [];
+            $(span).trigger($.Event('ping', { nativeDispatch: true }), ['x', 'y']);
+            assert.deepEqual(log, ['span:xy', 'div:xy:3', 'native:["x","y"]'],
+                'A $.Event can ask for a real DOM event, whose detail carries the extra parameters');
+            
+            log = [];
+            $.event.nativeDispatch = true;
+            $(span).trigger('ping', { id: 1 });
+            assert.deepEqual(log, ['span:[object Object]undefined', 'div:[object Object]undefined:3', 'native:{"id":1}'],
+                '$.event.nativeDispatch dispatches real events for every trigger()');
+            
+            log = [];
+            $(span).one('ping', function(e) {
+                e.stopPropagation();
+            });
+            $(span).trigger('ping', 'z');
+            assert.deepEqual(log, ['span:zundefined'], 'Stopping propagation in a jQNext handler stops the DOM event');
+            
+            log = [];
+            span.addEventListener('ping', function(e) {
+                e.preventDefault();
+            }, { once: true });
+            var event = $.Event('ping');
+            $(span).trigger(event);
+            assert.ok(event.isDefaultPrevented(), 'preventDefault() in a DOM listener reaches the trigger event');
+            
+            log = [];
+            outer.onping = function(e, a) {
+                log.push('inline:' + a);
+            };
+            $(span).trigger('ping', 'z');
+            assert.deepEqual(log, ['span:zundefined', 'div:zundefined:3', 'native:"z"', 'inline:z'],
+                'Inline handlers of custom types run as they do without native dispatch');
+            outer.onping = null;
+            
+            log = [];
+            $(span).triggerHandler('ping', 'z');
+            assert.deepEqual(log, ['span:zundefined'], 'triggerHandler() never dispatches');
+            
+            $.event.nativeDispatch = false;
+            outer.removeEventListener('ping', listener);
+            $outer.remove();
+        });
+        
+        jqnextTest('.trigger("click") reaches DOM listeners once in native dispatch', function(assert) {
+            var $button = $('<button type="button"></button>').appendTo('#qunit-fixture');
+            var button = $button[0];
+            var counts = { native: 0, jqnext: 0, inline: 0 };
+            
+            button.addEventListener('click', function() {
+                counts.native++;
+            });
+            button.onclick = function() {
+                counts.inline++;
+            };
+            $button.on('click', function() {
+                counts.jqnext++;
+            });
+            
+            $button.trigger('click');
+            assert.deepEqual(counts, { native: 1, jqnext: 1, inline: 1 }, 'Each runs once through the default click()');
+            
+            counts = { native: 0, jqnext: 0, inline: 0 };
+            $.event.nativeDispatch = true;
+            $button.trigger('click');
+            $.event.nativeDispatch = false;
+            assert.deepEqual(counts, { native: 1, jqnext: 1, inline: 1 }, 'Each runs once in native dispatch');
+            
+            $button.remove();
+        });
+        
+        jqnextTest('.trigger() keeps default actions in native dispatch', function(assert) {
+            var $form = $('<form><input name="title" value="Draft"><button type="submit">Save</button></form>').appendTo('#qunit-fixture');
+            var form = $form[0];
+            var input = form.elements.title;
+            var counts = { submit: 0, reset: 0 };
+            
+            form.addEventListener('submit', function(e) {
+                counts.submit++;
+                e.preventDefault();
+            });
+            form.addEventListener('reset', function() {
+                counts.reset++;
+            });
+            
+            $.event.nativeDispatch = true;
+            $form.find('button').trigger('click');
+            assert.equal(counts.submit, 1, 'Triggered click on a submit button submits the form');
+            
+            input.value = 'Changed';
+            $form.trigger('reset');
+            $.event.nativeDispatch = false;
+            assert.equal(input.value, 'Draft', 'Triggered reset resets the form');
+            assert.equal(counts.reset, 1, 'reset listener runs once');
+            
+            $form.remove();
+        });
+        
+        jqnextTest('$.event.inspect()', function(assert) {
+            var $el = $('<div class="inspect-me"></div>').appendTo('#qunit-fixture');
+            var handler = function() {};
+            var once = function() {};
+            
+            $el.on('click.a.b', handler);
+            $el.on('mouseenter', 'span', { id: 1 }, handler);
+            $el.one('ping', once);
+            
+            var list = $.event.inspect('.inspect-me');
+            assert.equal(list.length, 3, 'Every handler is listed');
+            assert.deepEqual([list[0].type, list[0].namespaces.sort(), list[0].selector, list[0].guid],
+                ['click', ['a', 'b'], undefined, handler.guid], 'Type, namespaces, selector and guid are reported');
+            assert.strictEqual(list[0].handler, handler, 'The bound function is reported');
+            assert.deepEqual([list[1].type, list[1].bindType, list[1].selector, list[1].data],
+                ['mouseenter', 'mouseover', 'span', { id: 1 }], 'Delegated handlers report their selector and data');
+            assert.strictEqual(list[2].handler, once, 'one() handlers report the function that was bound');
+            assert.strictEqual($.event.inspect($el[0])[0].elem, $el[0], 'Elements can be inspected directly');
+            
+            $el.remove();
+            assert.deepEqual($.event.inspect($el), [], 'Nothing is left after .remove()');
+        });
+        
+        jqnextTest('$.event.leaks reports handlers left on removed nodes', function(assert) {
+            var $removed = $('<div><span></span></div>').appendTo('#qunit-fixture');
+            var $detached = $('<div></div>').appendTo('#qunit-fixture');
+            var $cleaned = $('<div></div>').appendTo('#qunit-fixture');
+            var $moved = $('<div></div>').appendTo('#qunit-fixture');
+            var handler = function() {};
+            
+            $.event.leaks.enable();
+            $removed.find('span').on('click', handler);
+            $detached.on('click', handler);
+            $cleaned.on('click', handler);
+            $moved.on('click', handler);
+            
+            $removed[0].parentNode.removeChild($removed[0]);
+            $detached.detach();
+            $cleaned.remove();
+            $moved.appendTo('body').appendTo('#qunit-fixture');
+            
+            var report = $.event.leaks.report();
+            assert.deepEqual(report.map(function(leak) { return leak.elem; }), [$removed.find('span')[0], $detached[0]],
+                'Nodes removed without .remove() are reported');
+            assert.strictEqual(report[0].handlers[0].handler, handler, 'Reports list the handlers left behind');
+            
+            $detached.appendTo('#qunit-fixture');
+            $removed.find('span').off('click');
+            assert.deepEqual($.event.leaks.report(), [], 'Nodes put back or unbound are dropped');
+            
+            $.event.leaks.disable();
+            $detached.remove();
+            $moved.remove();
+        });
+        
         QUnit.test('$.Event constructor', function(assert) {
             var event = $.Event('click');
             assert.equal(event.type, 'click', 'Event has type');
@@ -1783,6 +2104,111 @@ QUnit.module('Plugin Compatibility - Dimensions');
             $el.remove();
         });
 
+        QUnit.test('$.event.special lifecycle hooks', function(assert) {
+            var $el = $('<div><span></span></div>').appendTo('#qunit-fixture');
+            var el = $el[0];
+            var log = [];
+            var cancel = false;
+
+            $.event.special.lifecycle = {
+                setup: function(data, namespaces) {
+                    log.push('setup ' + (this === el) + ' ' + namespaces.join('.'));
+                    return false;
+                },
+                add: function(handleObj) { log.push('add ' + handleObj.namespace); },
+                remove: function(handleObj) { log.push('remove ' + handleObj.namespace); },
+                teardown: function() {
+                    log.push('teardown');
+                    return false;
+                },
+                preDispatch: function() {
+                    log.push('pre');
+                    return !cancel;
+                },
+                postDispatch: function(event) { log.push('post ' + event.result); }
+            };
+
+            $el.on('lifecycle.a', function() { log.push('a'); });
+            $el.on('lifecycle.b', function() { log.push('b'); return 'done'; });
+            el.dispatchEvent(new CustomEvent('lifecycle'));
+            cancel = true;
+            el.dispatchEvent(new CustomEvent('lifecycle'));
+            $el.off('lifecycle.a');
+            $el.off('lifecycle');
+            el.dispatchEvent(new CustomEvent('lifecycle'));
+
+            assert.deepEqual(log, [
+                'setup true a', 'add a', 'add b',
+                'pre', 'a', 'b', 'post done',
+                'pre',
+                'remove a', 'remove b', 'teardown'
+            ], 'setup, add, preDispatch, postDispatch, remove and teardown');
+
+            // A setup that binds its own listener, like jquery.mousewheel
+            log = [];
+            var nativeHandler = function(e) {
+                var event = $.event.fix(e);
+                event.type = 'ownbind';
+                return $.event.dispatch.call(this, event, 'extra');
+            };
+            $.event.special.ownbind = {
+                setup: function() { this.addEventListener('ownbind-native', nativeHandler, false); },
+                teardown: function() {
+                    log.push('own teardown');
+                    this.removeEventListener('ownbind-native', nativeHandler, false);
+                }
+            };
+
+            $el.on('ownbind', function(event, extra) { log.push(event.type + ' ' + extra); });
+            el.dispatchEvent(new CustomEvent('ownbind'));
+            el.dispatchEvent(new CustomEvent('ownbind-native'));
+            assert.deepEqual(log, ['ownbind extra'], 'Only the listener bound by setup dispatches');
+
+            // bindType, noBubble and _default
+            log = [];
+            $.event.special.tap = {
+                bindType: 'click',
+                _default: function(event) {
+                    log.push('default ' + event.type);
+                    return true;
+                }
+            };
+            $.event.special.quiet = { noBubble: true };
+
+            var $span = $el.find('span');
+            $span.on('tap', function(event) { log.push('tap as ' + event.type); });
+            $el.on('quiet', function() { log.push('quiet bubbled'); });
+            $span.on('quiet', function() { log.push('quiet'); });
+            $span[0].dispatchEvent(new MouseEvent('click', { bubbles: true }));
+            $span.trigger('tap');
+            $span.trigger('quiet');
+
+            assert.deepEqual(log, ['tap as click', 'tap as click', 'default tap', 'quiet'], 'bindType, _default and noBubble');
+
+            // trigger receives the event, then the extra parameters
+            log = [];
+            $.event.special.hooked = {
+                trigger: function(event, a, b) {
+                    log.push('trigger ' + (this === el) + ' ' + event.type + ' ' + typeof event.preventDefault + ' ' + a + b);
+                    return false;
+                }
+            };
+            $el.on('hooked', function() { log.push('hooked handler'); });
+            $el.trigger('hooked', ['x', 'y']);
+            assert.deepEqual(log, ['trigger true hooked function xy'], 'special.trigger gets the event first and can cancel the trigger');
+            $el.off('hooked');
+
+            log = [];
+            $el.remove();
+            assert.deepEqual(log, ['own teardown'], 'remove() tears special events down');
+
+            delete $.event.special.lifecycle;
+            delete $.event.special.ownbind;
+            delete $.event.special.tap;
+            delete $.event.special.quiet;
+            delete $.event.special.hooked;
+        });
+
         QUnit.module('Plugin Compatibility - Custom Selectors');
 
         QUnit.test('$.expr[":"] custom selectors', function(assert) {
@@ -1907,6 +2333,116 @@ QUnit.module('Plugin Compatibility - Dimensions');
             $form.remove();
         });
 
+        jqnextTest('$.fn.serializeObject nests bracket notation names', function(assert) {
+            var $form = $('<form>' +
+                '<input name="user[name]" value="Ann">' +
+                '<input name="user[address][city]" value="Leeds">' +
+                '<input name="tags[]" value="a">' +
+                '<input name="tags[]" value="b">' +
+                '<input name="rows[0]" value="zero">' +
+                '<input name="rows[1]" value="one">' +
+                '<input type="checkbox" name="colors" value="red" checked>' +
+                '<input type="checkbox" name="colors" value="blue" checked>' +
+                '<input type="checkbox" name="colors" value="green">' +
+                '<select name="sizes[]" multiple><option selected>S</option><option>M</option><option selected>L</option></select>' +
+                '<input name="__proto__[polluted]" value="1">' +
+                '</form>').appendTo('#qunit-fixture');
+
+            assert.deepEqual($form.serializeObject(), {
+                user: { name: 'Ann', address: { city: 'Leeds' } },
+                tags: ['a', 'b'],
+                rows: ['zero', 'one'],
+                colors: ['red', 'blue'],
+                sizes: ['S', 'L']
+            }, 'Nested objects and arrays');
+            assert.strictEqual({}.polluted, undefined, 'Prototype keys are ignored');
+
+            $form.remove();
+        });
+
+        jqnextTest('$.fn.deserialize populates fields from an object', function(assert) {
+            var $form = $('<form>' +
+                '<input name="user[name]" value="">' +
+                '<input name="user[email]" value="kept">' +
+                '<input name="phones[]"><input name="phones[]">' +
+                '<input type="checkbox" name="colors[]" value="red">' +
+                '<input type="checkbox" name="colors[]" value="blue" checked>' +
+                '<input type="checkbox" name="agree" value="yes">' +
+                '<input type="radio" name="plan" value="free" checked>' +
+                '<input type="radio" name="plan" value="pro">' +
+                '<select name="sizes" multiple><option>S</option><option>M</option><option>L</option></select>' +
+                '<textarea name="notes"></textarea>' +
+                '</form>').appendTo('#qunit-fixture');
+            var data = {
+                user: { name: 'Ann' },
+                phones: ['111', '222'],
+                colors: ['red'],
+                agree: true,
+                plan: 'pro',
+                sizes: ['M', 'L'],
+                notes: 'Line'
+            };
+
+            assert.strictEqual($form.deserialize(data), $form, 'Chainable');
+            assert.equal($form.find('[name="user[name]"]').val(), 'Ann', 'Nested value');
+            assert.equal($form.find('[name="user[email]"]').val(), 'kept', 'Missing fields untouched');
+            assert.deepEqual($form.find('[name="phones[]"]').map(function() { return this.value; }).get(), ['111', '222'], 'Array items by position');
+            assert.deepEqual($form.find('[name="colors[]"]').map(function() { return this.checked; }).get(), [true, false], 'Checkboxes from an array');
+            assert.ok($form.find('[name=agree]')[0].checked, 'Boolean checks a checkbox');
+            assert.equal($form.find('[name=plan]:checked').val(), 'pro', 'Radio');
+            assert.deepEqual($form.find('[name=sizes]').val(), ['M', 'L'], 'Multiple select');
+            assert.equal($form.find('[name=notes]').val(), 'Line', 'Textarea');
+
+            assert.deepEqual($form.serializeObject(), $.extend(data, { agree: 'yes', user: { name: 'Ann', email: 'kept' } }), 'Round trips through serializeObject');
+
+            $form.remove();
+        });
+
+        jqnextTest('$.fn.serializeArray follows the form data set', function(assert) {
+            var $form = $('<form id="serialize-owner">' +
+                '<fieldset disabled>' +
+                    '<legend><input name="legend" value="kept"></legend>' +
+                    '<input name="fieldset" value="dropped">' +
+                '</fieldset>' +
+                '<output name="total">5</output>' +
+                '<input name="own" value="1">' +
+                '</form>' +
+                '<input form="serialize-owner" name="associated" value="2">').appendTo('#qunit-fixture');
+
+            assert.deepEqual($form.first().serializeArray(), [
+                { name: 'legend', value: 'kept' },
+                { name: 'own', value: '1' },
+                { name: 'associated', value: '2' }
+            ], 'Fieldset-disabled controls and outputs skipped, form attribute honoured');
+            assert.deepEqual($form.find('input').serializeArray(), [
+                { name: 'legend', value: 'kept' },
+                { name: 'own', value: '1' }
+            ], 'Loose controls in a disabled fieldset skipped');
+
+            $form.remove();
+        });
+
+        jqnextTest('$.fn.serializeArray submits dirname and skips datalist controls', function(assert) {
+            var $form = $('<form>' +
+                '<input name="title" value="abc" dirname="title.dir">' +
+                '<datalist><input name="suggest" value="x"></datalist>' +
+                '<textarea name="body" dir="rtl" dirname="body.dir">\u05e9\u05dc\u05d5\u05dd</textarea>' +
+                '</form>').appendTo('#qunit-fixture');
+
+            assert.deepEqual($form.find('input').first().add($form.find('input').last()).serializeArray(), [
+                { name: 'title', value: 'abc' },
+                { name: 'title.dir', value: 'ltr' }
+            ], 'Direction submitted under the dirname, datalist options skipped');
+            assert.deepEqual($form.find('textarea').serializeArray(), [
+                { name: 'body', value: '\u05e9\u05dc\u05d5\u05dd' },
+                { name: 'body.dir', value: 'rtl' }
+            ], 'Right-to-left direction');
+            assert.deepEqual($form.serializeArray().map(function(entry) { return entry.name; }),
+                ['title', 'title.dir', 'body', 'body.dir'], 'Form data set includes dirname entries');
+
+            $form.remove();
+        });
+
         QUnit.module('Plugin Compatibility - Legacy Event Methods');
 
         QUnit.test('$.fn.bind and $.fn.unbind', function(assert) {
@@ -3485,6 +4021,1219 @@ QUnit.module('Plugin Compatibility - Dimensions');
             delete $.ajaxSettings.headers['X-Test'];
         });
 
+        QUnit.test('$.ajaxTransport drives matching requests', function(assert) {
+            var done = assert.async();
+            var sentHeaders, sentOptions;
+            
+            $.ajaxTransport('transporttest', function(options) {
+                return {
+                    send: function(headers, completeCallback) {
+                        sentHeaders = headers;
+                        sentOptions = options;
+                        setTimeout(function() {
+                            completeCallback(200, 'OK', { transporttest: { answer: 42 } }, 'X-Mock: yes\r\n');
+                        }, 0);
+                    },
+                    abort: function() {}
+                };
+            });
+            
+            $.ajax({
+                url: '/mock/transport',
+                dataType: 'transporttest',
+                data: { q: 'a' },
+                headers: { 'X-Custom': '1' }
+            }).done(function(data, status, jqXHR) {
+                assert.equal(data.answer, 42, 'Transport response passed to done');
+                assert.equal(status, 'success', 'Status text is success');
+                assert.equal(jqXHR.status, 200, 'HTTP status set');
+                assert.equal(jqXHR.getResponseHeader('X-Mock'), 'yes', 'Response headers parsed');
+                assert.equal(sentHeaders['X-Custom'], '1', 'Request headers passed to send');
+                assert.equal(sentOptions.url, '/mock/transport?q=a', 'GET data appended to url');
+            }).always(done);
+        });
+        
+        QUnit.test('$.ajaxTransport abort is called on jqXHR.abort()', function(assert) {
+            var done = assert.async();
+            var aborted = false;
+            
+            $.ajaxTransport('aborttest', function() {
+                return {
+                    send: function() {},
+                    abort: function() { aborted = true; }
+                };
+            });
+            
+            var jqXHR = $.ajax({ url: '/mock/abort', dataType: 'aborttest' });
+            
+            jqXHR.fail(function(xhr, status) {
+                assert.ok(aborted, 'Transport abort called');
+                assert.equal(status, 'abort', 'Status text is abort');
+            }).always(done);
+            
+            jqXHR.abort();
+        });
+        
+        QUnit.test('$.ajaxTransport error status fails the request', function(assert) {
+            var done = assert.async();
+            
+            $.ajaxTransport('errortest', function() {
+                return {
+                    send: function(headers, completeCallback) {
+                        completeCallback(404, 'Not Found', { text: 'missing' });
+                    },
+                    abort: function() {}
+                };
+            });
+            
+            $.ajax({ url: '/mock/missing', dataType: 'errortest' }).fail(function(jqXHR, status, error) {
+                assert.equal(jqXHR.status, 404, 'HTTP status set');
+                assert.equal(status, 'error', 'Status text is error');
+                assert.equal(error, 'Not Found', 'Native status text passed as error');
+                assert.equal(jqXHR.responseText, 'missing', 'Response text available');
+            }).always(done);
+        });
+
+        QUnit.test('$.ajax converters and dataFilter pipeline', function(assert) {
+            var done = assert.async(2);
+            var filterArgs;
+            
+            $.ajaxTransport('csv', function() {
+                return {
+                    send: function(headers, completeCallback) {
+                        completeCallback(200, 'OK', { text: 'a,b\n1,2' });
+                    },
+                    abort: function() {}
+                };
+            });
+            
+            var parseCsv = function(text) {
+                return text.split('\n').map(function(line) {
+                    return line.split(',');
+                });
+            };
+            
+            $.ajax({
+                url: '/mock/data.csv',
+                dataType: 'csv',
+                converters: { 'text csv': parseCsv },
+                dataFilter: function(data, type) {
+                    filterArgs = [data, type];
+                    return data.toUpperCase();
+                }
+            }).done(function(data, status, jqXHR) {
+                assert.deepEqual(data, [['A', 'B'], ['1', '2']], 'Converter applied after dataFilter');
+                assert.deepEqual(filterArgs, ['a,b\n1,2', 'csv'], 'dataFilter receives raw text and dataType');
+                assert.equal(jqXHR.responseText, 'a,b\n1,2', 'responseText holds raw text');
+            }).always(done);
+            
+            $.ajax({
+                url: '/mock/data.csv',
+                dataType: 'csv',
+                converters: {
+                    'text csv': function() {
+                        throw new Error('bad csv');
+                    }
+                }
+            }).fail(function(jqXHR, status, error) {
+                assert.equal(status, 'parsererror', 'Throwing converter gives parsererror');
+                assert.equal(error.message, 'bad csv', 'Converter exception passed as error');
+                assert.equal(jqXHR.status, 200, 'HTTP status preserved');
+            }).always(done);
+        });
+        
+        jqnextTest('$.getScript does not run the body of a failed response', function(assert) {
+            var done = assert.async();
+            var mock = $.ajax.mock.enable();
+            
+            mock.add({ url: '/mock/broken.js', status: 500, contentType: 'text/javascript', response: 'window.brokenScriptRan = true;' });
+            
+            $.getScript('/mock/broken.js').then(function() {
+                assert.ok(false, 'Failed script request should not succeed');
+            }, function(jqXHR, status) {
+                assert.equal(status, 'error', 'Request fails');
+                assert.strictEqual(window.brokenScriptRan, undefined, 'Error page not executed');
+                assert.equal(jqXHR.responseText, 'window.brokenScriptRan = true;', 'responseText still filled in');
+            }).always(function() {
+                delete window.brokenScriptRan;
+                mock.disable();
+                done();
+            });
+        });
+        
+        QUnit.test('$.ajax statusCode callbacks', function(assert) {
+            var done = assert.async();
+            var calls = [];
+            
+            $.ajaxTransport('statustest', function() {
+                return {
+                    send: function(headers, completeCallback) {
+                        setTimeout(function() {
+                            completeCallback(409, 'Conflict', { text: '' });
+                        }, 0);
+                    },
+                    abort: function() {}
+                };
+            });
+            
+            var jqXHR = $.ajax({
+                url: '/mock/conflict',
+                dataType: 'statustest',
+                statusCode: {
+                    401: function() { calls.push('401'); },
+                    409: function(xhr, status) { calls.push('409 setting ' + status); }
+                }
+            });
+            
+            jqXHR.statusCode({
+                409: function() { calls.push('409 method'); }
+            });
+            
+            jqXHR.always(function() {
+                setTimeout(function() {
+                    assert.deepEqual(calls, ['409 setting error', '409 method'], 'Matching status callbacks fired in order');
+                    
+                    jqXHR.statusCode({
+                        409: function() { calls.push('409 late'); }
+                    });
+                    assert.equal(calls[2], '409 late', 'Callbacks added after completion fire immediately');
+                    done();
+                }, 0);
+            });
+        });
+        
+        QUnit.test('$.ajax parsererror reaches error callbacks and ajaxError', function(assert) {
+            var done = assert.async();
+            var globalError;
+            
+            $.ajaxTransport('parsetest', function() {
+                return {
+                    send: function(headers, completeCallback) {
+                        setTimeout(function() {
+                            completeCallback(200, 'OK', { text: '{not json' });
+                        }, 0);
+                    },
+                    abort: function() {}
+                };
+            });
+            
+            $(document).on('ajaxError.parsetest', function(event, jqXHR, settings, thrownError) {
+                globalError = thrownError;
+            });
+            
+            $.ajax({
+                url: '/mock/broken.json',
+                dataType: 'parsetest',
+                converters: { 'text parsetest': $.parseJSON }
+            }).fail(function(jqXHR, status, error) {
+                assert.equal(status, 'parsererror', 'Status text is parsererror');
+                assert.equal(jqXHR.status, 200, 'HTTP status is not a network failure');
+                assert.ok(error instanceof SyntaxError, 'JSON exception passed as error');
+            }).always(function() {
+                setTimeout(function() {
+                    assert.ok(globalError instanceof SyntaxError, 'ajaxError receives the exception');
+                    $(document).off('ajaxError.parsetest');
+                    done();
+                }, 0);
+            });
+        });
+        
+        jqnextTest('$.ajax reports upload progress through a custom xhr factory', function(assert) {
+            var done = assert.async();
+            var events = [];
+            
+            // Minimal XHR stand-in that uploads in two chunks
+            var createFakeXHR = function() {
+                var listeners = { progress: [], upload: [] };
+                var xhr = {
+                    status: 0,
+                    statusText: '',
+                    responseText: '',
+                    upload: {
+                        addEventListener: function(type, fn) { listeners.upload.push(fn); },
+                        removeEventListener: function() {}
+                    },
+                    open: function() {},
+                    setRequestHeader: function() {},
+                    addEventListener: function(type, fn) { listeners.progress.push(fn); },
+                    removeEventListener: function() {},
+                    getAllResponseHeaders: function() { return 'Content-Type: text/plain'; },
+                    send: function() {
+                        setTimeout(function() {
+                            listeners.upload.forEach(function(fn) { fn({ loaded: 5, total: 10, lengthComputable: true }); });
+                            listeners.upload.forEach(function(fn) { fn({ loaded: 10, total: 10, lengthComputable: true }); });
+                            xhr.status = 200;
+                            xhr.statusText = 'OK';
+                            xhr.responseText = 'stored';
+                            xhr.onload();
+                        }, 0);
+                    }
+                };
+                return xhr;
+            };
+            
+            var formData = new FormData();
+            formData.append('file', 'contents');
+            
+            $.ajax({
+                url: '/mock/upload',
+                type: 'POST',
+                data: formData,
+                processData: false,
+                contentType: false,
+                xhr: createFakeXHR
+            }).progress(function(event) {
+                events.push((event.upload ? 'upload ' : 'download ') + event.loaded + '/' + event.total);
+            }).done(function(data) {
+                assert.equal(data, 'stored', 'Response read from the custom xhr');
+                assert.deepEqual(events, ['upload 5/10', 'upload 10/10'], 'Upload progress notified');
+            }).always(done);
+        });
+        
+        QUnit.test('$.ajax async: false completes before returning', function(assert) {
+            var order = [];
+            var opened;
+            
+            // XHR stand-in that loads synchronously inside send()
+            var createSyncXHR = function() {
+                var xhr = {
+                    status: 0,
+                    statusText: '',
+                    responseText: '',
+                    open: function(type, url, async) { opened = async; },
+                    setRequestHeader: function() {},
+                    addEventListener: function() {},
+                    removeEventListener: function() {},
+                    getAllResponseHeaders: function() { return 'Content-Type: application/json'; },
+                    send: function() {
+                        xhr.status = 200;
+                        xhr.statusText = 'OK';
+                        xhr.responseText = '{"saved":true}';
+                        xhr.onload();
+                    }
+                };
+                return xhr;
+            };
+            
+            $(document).on('ajaxSend.synctest ajaxSuccess.synctest ajaxComplete.synctest', function(event) {
+                order.push(event.type);
+            });
+            
+            var jqXHR = $.ajax({
+                url: '/mock/sync',
+                async: false,
+                xhr: createSyncXHR,
+                success: function() { order.push('success'); },
+                complete: function() { order.push('complete'); }
+            });
+            
+            order.push('returned');
+            $(document).off('.synctest');
+            
+            assert.strictEqual(opened, false, 'XHR opened synchronously');
+            assert.equal(jqXHR.status, 200, 'Status available immediately');
+            assert.equal(jqXHR.responseText, '{"saved":true}', 'responseText available immediately');
+            assert.deepEqual(jqXHR.responseJSON, { saved: true }, 'responseJSON available immediately');
+            assert.equal(jqXHR.getResponseHeader('Content-Type'), 'application/json', 'Headers available immediately');
+            assert.equal(order[0], 'ajaxSend', 'ajaxSend fired first');
+            assert.equal(order[order.length - 1], 'returned', 'All callbacks fired before returning');
+            assert.ok(order.indexOf('success') > -1 && order.indexOf('complete') > -1, 'Callbacks fired');
+        });
+        
+        jqnextTest('$.ajax.interceptors refresh a token, retry and transform data', function(assert) {
+            var done = assert.async();
+            var token = 'stale';
+            var attempts = [];
+            var successCalls = 0;
+            
+            $.ajaxTransport('intercepttest', function(options) {
+                return {
+                    send: function(headers, completeCallback) {
+                        attempts.push(headers.Authorization);
+                        setTimeout(function() {
+                            if (headers.Authorization === 'Bearer fresh') {
+                                completeCallback(200, 'OK', { intercepttest: { items: [1, 2] } });
+                            } else {
+                                completeCallback(401, 'Unauthorized');
+                            }
+                        }, 0);
+                    },
+                    abort: function() {}
+                };
+            });
+            
+            var requestId = $.ajax.interceptors.request.use(function(request) {
+                request.headers.Authorization = 'Bearer ' + token;
+                return request;
+            });
+            
+            // The retried response carries on through the interceptors registered after this one
+            var retryId = $.ajax.interceptors.response.use(null, function(response) {
+                if (response.status !== 401) {
+                    return response;
+                }
+                
+                // Refresh the token asynchronously, then send the request again
+                var refreshed = $.Deferred();
+                setTimeout(function() {
+                    token = 'fresh';
+                    refreshed.resolve();
+                }, 0);
+                return refreshed.then(function() {
+                    return response.retry();
+                });
+            });
+            
+            var transformId = $.ajax.interceptors.response.use(function(response) {
+                response.data = response.data.items;
+                return response;
+            });
+            
+            $.ajax({
+                url: '/mock/intercept',
+                dataType: 'intercepttest',
+                success: function() { successCalls++; }
+            }).done(function(data, status, jqXHR) {
+                assert.deepEqual(data, [1, 2], 'Response interceptor transformed data');
+                assert.equal(status, 'success', 'Status text is success');
+                assert.equal(jqXHR.status, 200, 'Status from the retried attempt');
+                assert.deepEqual(attempts, ['Bearer stale', 'Bearer fresh'], 'Request interceptor ran for each attempt');
+                assert.equal(successCalls, 1, 'success callback ran once');
+            }).fail(function() {
+                assert.ok(false, 'Request should succeed after retry');
+            }).always(function() {
+                $.ajax.interceptors.request.eject(requestId);
+                $.ajax.interceptors.response.eject(retryId);
+                $.ajax.interceptors.response.eject(transformId);
+                done();
+            });
+        });
+        
+        jqnextTest('$.ajax.interceptors retry detects the dataType again', function(assert) {
+            var done = assert.async();
+            var mock = $.ajax.mock.enable();
+            
+            mock.add({ url: '/mock/intercept-json', status: 401, contentType: 'text/plain', response: 'expired', times: 1 });
+            mock.add({ url: '/mock/intercept-json', response: { ok: true } });
+            
+            var retryId = $.ajax.interceptors.response.use(null, function(response) {
+                return response.status === 401 ? response.retry() : response;
+            });
+            
+            $.ajax('/mock/intercept-json').done(function(data) {
+                assert.deepEqual(data, { ok: true }, 'JSON detected from the retried response');
+            }).fail(function() {
+                assert.ok(false, 'Request should succeed after the retry');
+            }).always(function() {
+                $.ajax.interceptors.response.eject(retryId);
+                mock.disable();
+                done();
+            });
+        });
+        
+        jqnextTest('$.ajax retry re-issues failed idempotent requests', function(assert) {
+            var done = assert.async();
+            var sent = [];
+            var attempts = [];
+            var results = 0;
+            
+            $.ajaxTransport('retrytest', function(options) {
+                return {
+                    send: function(headers, completeCallback) {
+                        sent.push(options.type);
+                        setTimeout(function() {
+                            if (options.type === 'GET' && sent.length === 3) {
+                                completeCallback(200, 'OK', { retrytest: 'ok' });
+                            } else {
+                                completeCallback(503, 'Service Unavailable');
+                            }
+                        }, 0);
+                    },
+                    abort: function() {}
+                };
+            });
+            
+            $(document).on('ajaxSend.retrytest', function(event, jqXHR, settings, attempt) {
+                attempts.push(attempt);
+            });
+            
+            $.ajax({
+                url: '/mock/retry',
+                dataType: 'retrytest',
+                retry: { count: 3, delay: 1, retryOn: [503] },
+                complete: function() { results++; }
+            }).done(function(data, status, jqXHR) {
+                assert.equal(data, 'ok', 'Third attempt succeeded');
+                assert.equal(jqXHR.attempt, 3, 'jqXHR reports the attempt number');
+                assert.deepEqual(attempts, [1, 2, 3], 'ajaxSend fired per attempt with a counter');
+                
+                sent = [];
+                $.ajax({
+                    url: '/mock/retry',
+                    type: 'POST',
+                    dataType: 'retrytest',
+                    retry: { count: 3, retryOn: [503] }
+                }).fail(function(jqXHR) {
+                    assert.equal(results, 1, 'complete callback ran once for the retried request');
+                    assert.deepEqual(sent, ['POST'], 'POST is not retried unless opted in');
+                    assert.equal(jqXHR.status, 503, 'Failure reported to the caller');
+                }).always(function() {
+                    $(document).off('.retrytest');
+                    done();
+                });
+            }).fail(function() {
+                assert.ok(false, 'Request should succeed after retries');
+                $(document).off('.retrytest');
+                done();
+            });
+        });
+        
+        jqnextTest('$.ajax retry detects the dataType again for each attempt', function(assert) {
+            var done = assert.async();
+            var mock = $.ajax.mock.enable();
+            
+            mock.add({ url: '/mock/retry-json', status: 503, contentType: 'text/html', response: '<p>busy</p>', times: 1 });
+            mock.add({ url: '/mock/retry-json', response: { items: [1, 2] } });
+            
+            $.ajax({
+                url: '/mock/retry-json',
+                retry: { count: 1, delay: 1, retryOn: [503] }
+            }).done(function(data, status, jqXHR) {
+                assert.equal(jqXHR.attempt, 2, 'Second attempt succeeded');
+                assert.deepEqual(data, { items: [1, 2] }, 'JSON detected from the retried response');
+            }).fail(function() {
+                assert.ok(false, 'Request should succeed after the retry');
+            }).always(function() {
+                mock.disable();
+                done();
+            });
+        });
+        
+        jqnextTest('$.ajax dedupe shares in-flight requests', function(assert) {
+            var done = assert.async();
+            var sends = 0;
+            var received = [];
+            var codes = [];
+            
+            $.ajaxTransport('dedupetest', function() {
+                return {
+                    send: function(headers, completeCallback) {
+                        sends++;
+                        setTimeout(function() {
+                            completeCallback(200, 'OK', { dedupetest: 'shared' });
+                        }, 0);
+                    },
+                    abort: function() {}
+                };
+            });
+            
+            var options = { url: '/mock/dedupe', data: { id: 1 }, dataType: 'dedupetest', dedupe: true };
+            var first = $.ajax($.extend({
+                success: function(data) { received.push('first ' + data); },
+                statusCode: { 200: function() { codes.push('first'); } }
+            }, options));
+            var second = $.get($.extend({
+                success: function(data) { received.push('second ' + data); },
+                statusCode: { 200: function() { codes.push('second'); } }
+            }, options));
+            
+            assert.strictEqual(second, first, 'Identical request returns the in-flight jqXHR');
+            
+            $.when(first).always(function() {
+                assert.equal(sends, 1, 'Only one request sent');
+                assert.deepEqual(received, ['first shared', 'second shared'], 'Both callers notified');
+                
+                var third = $.ajax(options);
+                var authorized = $.ajax($.extend({ headers: { Authorization: 'Bearer other' } }, options));
+                var canceled = $.ajax($.extend({ beforeSend: function() { return false; } }, options));
+                var fromBeforeSend = $.ajax($.extend({
+                    beforeSend: function(jqXHR) { jqXHR.setRequestHeader('X-Tenant', 'b'); }
+                }, options));
+                
+                assert.notStrictEqual(authorized, third, 'Requests with other headers are not shared');
+                assert.notStrictEqual(fromBeforeSend, third, 'Headers set in beforeSend count');
+                assert.equal(canceled.statusText, 'canceled', 'beforeSend can cancel a request that would be shared');
+                
+                var controller = new AbortController();
+                var withSignal = $.ajax($.extend({ signal: controller.signal }, options));
+                var withContext = $.ajax($.extend({ context: { other: true } }, options));
+                
+                assert.notStrictEqual(withSignal, third, 'Requests with a signal are not shared');
+                assert.notStrictEqual(withContext, third, 'Requests with another context are not shared');
+                
+                controller.abort();
+                assert.equal(withSignal.statusText, 'abort', 'Signal aborts its own request');
+                assert.equal(third.state(), 'pending', 'Other requests carry on');
+                
+                $.when(third, authorized, fromBeforeSend, withContext).always(function() {
+                    assert.equal(sends, 6, 'Completed requests are not shared');
+                    assert.deepEqual(codes.sort(), ['first', 'second'], 'Each caller\'s statusCode callbacks fired');
+                    done();
+                });
+            });
+        });
+        
+        jqnextTest('$.ajax cacheTTL serves repeated GETs from the store and revalidates', function(assert) {
+            var done = assert.async();
+            var sent = [];
+            var entries = {};
+            var store = {
+                get: function(key) { return entries[key]; },
+                set: function(key, entry) { entries[key] = entry; },
+                delete: function(key) { delete entries[key]; }
+            };
+            
+            $.ajaxTransport('cachetest', function() {
+                return {
+                    send: function(headers, completeCallback) {
+                        sent.push(headers['If-None-Match'] || 'none');
+                        setTimeout(function() {
+                            if (headers['If-None-Match'] === '"v1"') {
+                                completeCallback(304, 'Not Modified');
+                            } else {
+                                completeCallback(200, 'OK', { cachetest: 'payload ' + (headers.Authorization || 'anonymous') }, 'ETag: "v1"\r\n');
+                            }
+                        }, 0);
+                    },
+                    abort: function() {}
+                };
+            });
+            
+            var options = { url: '/mock/cache', dataType: 'cachetest', cacheTTL: 60000, cacheStore: store };
+            
+            var key;
+            
+            $.ajax(options).then(function() {
+                key = Object.keys(entries)[0];
+                return $.ajax(options);
+            }).then(function(data, status, jqXHR) {
+                assert.equal(data, 'payload anonymous', 'Second request answered from the store');
+                assert.equal(jqXHR.status, 200, 'Cached status restored');
+                assert.deepEqual(sent, ['none'], 'Second request did not hit the network');
+                
+                return $.ajax($.extend({ headers: { Authorization: 'Bearer b' } }, options));
+            }).then(function(data) {
+                assert.equal(data, 'payload Bearer b', 'Requests with other headers are not answered from the entry');
+                assert.deepEqual(sent, ['none', 'none'], 'Request with other headers hit the network');
+                
+                // Expire the entry so the next request revalidates it
+                entries[key].expires = 0;
+                return $.ajax(options);
+            }).then(function(data, status, jqXHR) {
+                assert.deepEqual(sent, ['none', 'none', '"v1"'], 'Stale entry revalidated with If-None-Match');
+                assert.equal(data, 'payload anonymous', '304 answered from the stored entry');
+                assert.equal(status, 'success', 'Revalidated response reported as success');
+                assert.ok(entries[key].expires > Date.now(), 'Entry freshness renewed');
+            }, function() {
+                assert.ok(false, 'Cached requests should succeed');
+            }).always(done);
+        });
+        
+        QUnit.test('$.ajax ifModified sends validators and reports notmodified', function(assert) {
+            var done = assert.async();
+            var sent = [];
+            
+            $.ajaxTransport('ifmodifiedtest', function() {
+                return {
+                    send: function(headers, completeCallback) {
+                        sent.push([headers['If-Modified-Since'], headers['If-None-Match']]);
+                        setTimeout(function() {
+                            if (headers['If-None-Match'] === '"abc"') {
+                                completeCallback(304, 'Not Modified');
+                            } else {
+                                completeCallback(200, 'OK', { ifmodifiedtest: 'fresh' },
+                                    'Last-Modified: Wed, 21 Oct 2015 07:28:00 GMT\r\nETag: "abc"\r\n');
+                            }
+                        }, 0);
+                    },
+                    abort: function() {}
+                };
+            });
+            
+            var options = { url: '/mock/ifmodified', data: { page: 1 }, dataType: 'ifmodifiedtest', ifModified: true };
+            
+            $.ajax(options).then(function(data, status) {
+                assert.equal(data, 'fresh', 'First response delivered');
+                assert.equal(status, 'success', 'First response is success');
+                assert.equal($.etag['/mock/ifmodified?page=1'], '"abc"', 'ETag remembered by URL');
+                return $.ajax(options);
+            }).then(function(data, status, jqXHR) {
+                assert.deepEqual(sent[0], [undefined, undefined], 'No validators on the first request');
+                assert.deepEqual(sent[1], ['Wed, 21 Oct 2015 07:28:00 GMT', '"abc"'], 'Validators sent on the next request');
+                assert.equal(status, 'notmodified', 'Status text is notmodified');
+                assert.equal(jqXHR.status, 304, 'HTTP status is 304');
+                assert.strictEqual(data, undefined, 'No data for an unchanged resource');
+            }, function() {
+                assert.ok(false, 'Requests should succeed');
+            }).always(done);
+        });
+        
+        QUnit.test('$.ajax beforeSend returning false cancels the request', function(assert) {
+            var done = assert.async();
+            var sent = false;
+            var completed = 0;
+            
+            $.ajaxTransport('canceltest', function() {
+                return {
+                    send: function() { sent = true; },
+                    abort: function() {}
+                };
+            });
+            
+            $(document).on('ajaxComplete.canceltest', function() {
+                completed++;
+            });
+            
+            $.ajax({
+                url: '/mock/cancel',
+                dataType: 'canceltest',
+                beforeSend: function() { return false; }
+            }).fail(function(jqXHR, status) {
+                assert.equal(status, 'canceled', 'Status text is canceled');
+                assert.notOk(sent, 'Request was never sent');
+                assert.equal(completed, 1, 'ajaxComplete fired');
+            }).always(function() {
+                $(document).off('.canceltest');
+                done();
+            });
+        });
+        
+        jqnextTest('$.ajax signal setting aborts the request', function(assert) {
+            var done = assert.async();
+            var sends = 0;
+            var aborted = 0;
+            var completed = [];
+            
+            $.ajaxTransport('signaltest', function() {
+                return {
+                    send: function() { sends++; },
+                    abort: function() { aborted++; }
+                };
+            });
+            
+            $(document).on('ajaxComplete.signaltest', function(event, jqXHR) {
+                completed.push(jqXHR.statusText);
+            });
+            
+            var controller = new AbortController();
+            var jqXHR = $.ajax({ url: '/mock/signal', dataType: 'signaltest', signal: controller.signal });
+            
+            jqXHR.fail(function(xhr, status) {
+                assert.equal(status, 'abort', 'Status text is abort');
+                assert.equal(aborted, 1, 'Transport aborted');
+                assert.equal(xhr.readyState, 4, 'Request completed');
+                
+                var early = $.ajax({ url: '/mock/signal', dataType: 'signaltest', signal: controller.signal });
+                assert.equal(early.state(), 'rejected', 'Already-aborted signal rejects immediately');
+                assert.equal(sends, 1, 'Already-aborted request never sent');
+                
+                setTimeout(function() {
+                    assert.deepEqual(completed, ['abort', 'abort'], 'ajaxComplete fired for each request');
+                    $(document).off('.signaltest');
+                    done();
+                }, 0);
+            });
+            
+            controller.abort();
+        });
+        
+        jqnextTest('$.ajaxQueue runs requests one after another', function(assert) {
+            var done = assert.async();
+            var log = [];
+            
+            $.ajaxTransport('queuetest', function(options) {
+                return {
+                    send: function(headers, completeCallback) {
+                        log.push('send ' + options.data);
+                        setTimeout(function() {
+                            log.push('done ' + options.data);
+                            completeCallback(200, 'OK', { queuetest: options.data });
+                        }, 5);
+                    },
+                    abort: function() {}
+                };
+            });
+            
+            var save = function(data, extra) {
+                return $.ajaxQueue('autosave', $.extend({ url: '/mock/queue', type: 'POST', data: data, dataType: 'queuetest' }, extra));
+            };
+            
+            var first = save('a');
+            var second = save('b');
+            
+            var state = $.ajaxQueue.inspect('autosave');
+            assert.equal(state.running.data, 'a', 'inspect reports the running request');
+            assert.deepEqual($.map(state.pending, function(s) { return s.data; }), ['b'], 'inspect reports pending requests');
+            
+            var third = save('c', { latestWins: true });
+            var dropped;
+            
+            second.fail(function(jqXHR, status) {
+                dropped = status;
+            });
+            
+            $.when(first, third).done(function(a, c) {
+                assert.equal(a[0], 'a', 'First request resolved with its data');
+                assert.equal(c[0], 'c', 'Latest request resolved with its data');
+                assert.equal(dropped, 'abort', 'Superseded pending request dropped');
+                assert.deepEqual(log, ['send a', 'done a', 'send c', 'done c'], 'Requests ran strictly in order');
+                
+                var running = save('e');
+                var pending = save('f');
+                $.ajaxQueue.clear('autosave');
+                
+                assert.equal(pending.state(), 'rejected', 'clear() drops pending requests');
+                assert.deepEqual($.ajaxQueue.inspect('autosave').pending, [], 'Queue is empty after clear()');
+                
+                running.done(function(data) {
+                    assert.equal(data, 'e', 'Running request unaffected by clear()');
+                    assert.deepEqual(log.slice(4), ['send e', 'done e'], 'Cleared request never sent');
+                    done();
+                });
+            });
+        });
+        
+        jqnextTest('$.ajaxQueue returns an object in step with the request', function(assert) {
+            var done = assert.async();
+            var mock = $.ajax.mock.enable();
+            
+            mock.add({ url: '/mock/queue-state', response: { saved: true }, headers: { 'X-Version': '3' }, latency: 5 });
+            
+            var first = $.ajaxQueue('state', { url: '/mock/queue-state' });
+            var second = $.ajaxQueue('state', { url: '/mock/queue-state' });
+            
+            assert.equal(second.readyState, 0, 'A waiting request has not started');
+            assert.strictEqual(second.getResponseHeader('X-Version'), null, 'No headers before the request starts');
+            
+            second.done(function(data, statusText, jqXHR) {
+                assert.strictEqual(jqXHR, second, 'Callbacks get the object $.ajaxQueue returned');
+                assert.equal(second.status, 200, 'status after completion');
+                assert.equal(second.readyState, 4, 'readyState after completion');
+                assert.equal(second.statusText, 'OK', 'statusText after completion');
+                assert.equal(second.getResponseHeader('X-Version'), '3', 'Response headers');
+                assert.deepEqual(second.responseJSON, { saved: true }, 'responseJSON');
+                assert.equal(first.status, 200, 'The earlier request reports its status too');
+            }).fail(function() {
+                assert.ok(false, 'Queued request should succeed');
+            }).always(function() {
+                mock.disable();
+                done();
+            });
+        });
+        
+        jqnextTest('$.ajax json option and JSON shorthands send JSON bodies', function(assert) {
+            var done = assert.async();
+            var sent = [];
+            
+            // Only answers requests to the mock URL, others fall through
+            $.ajaxTransport('json', function(options) {
+                if (options.url !== '/mock/json-body') return;
+                return {
+                    send: function(headers, completeCallback) {
+                        sent.push({ type: options.type, data: options.data, headers: headers });
+                        setTimeout(function() {
+                            completeCallback(200, 'OK', { text: '{"ok":true}' }, 'Content-Type: application/json\r\n');
+                        }, 0);
+                    },
+                    abort: function() {}
+                };
+            });
+            
+            $.ajax({ url: '/mock/json-body', json: { tags: ['a', 'b'], count: 2 } }).then(function(data) {
+                assert.deepEqual(data, { ok: true }, 'JSON response parsed by default');
+                assert.equal(sent[0].type, 'POST', 'json option defaults to POST');
+                assert.equal(sent[0].data, '{"tags":["a","b"],"count":2}', 'Body serialized as JSON, not form encoded');
+                assert.equal(sent[0].headers['Content-Type'], 'application/json; charset=UTF-8', 'JSON Content-Type sent');
+                assert.ok(/json/.test(sent[0].headers.Accept), 'JSON Accept header sent');
+                
+                return $.putJSON('/mock/json-body', [1, 2]);
+            }).then(function(data) {
+                assert.deepEqual(data, { ok: true }, 'putJSON parses the response');
+                assert.equal(sent[1].type, 'PUT', 'putJSON uses PUT');
+                assert.equal(sent[1].data, '[1,2]', 'putJSON serializes arrays');
+                
+                return $.deleteJSON('/mock/json-body');
+            }).then(function() {
+                assert.equal(sent[2].type, 'DELETE', 'deleteJSON uses DELETE');
+                assert.strictEqual(sent[2].data, undefined, 'No body without data');
+                assert.equal(typeof $.postJSON, 'function', 'postJSON available');
+                assert.equal(typeof $.patchJSON, 'function', 'patchJSON available');
+            }, function() {
+                assert.ok(false, 'JSON requests should succeed');
+            }).always(done);
+        });
+        
+        jqnextTest('$.stream delivers NDJSON records through progress()', function(assert) {
+            var done = assert.async();
+            var records = [];
+            var chunks = [];
+            
+            $(document).on('ajaxChunk.streamtest', function(event, jqXHR, settings, record) {
+                chunks.push(record.step);
+            });
+            
+            $.stream('data/stream.ndjson').progress(function(event) {
+                records.push(event.data);
+            }).done(function(data) {
+                assert.deepEqual($.map(records, function(r) { return r.step; }), [1, 2, 3], 'Each record passed to progress()');
+                assert.equal(records[2].status, 'done', 'Unterminated last record delivered');
+                assert.deepEqual(chunks, [1, 2, 3], 'ajaxChunk fired per record');
+                assert.equal(data.length, 3, 'Resolves with every record');
+            }).fail(function() {
+                assert.ok(false, 'Stream should succeed');
+            }).always(function() {
+                $(document).off('.streamtest');
+                done();
+            });
+        });
+        
+        jqnextTest('$.ajax dataType sse parses Server-Sent Events', function(assert) {
+            var done = assert.async();
+            var messages = [];
+            
+            $.ajax({ url: 'data/stream.sse', dataType: 'sse' }).progress(function(event) {
+                messages.push(event.data);
+            }).done(function(data) {
+                assert.equal(messages.length, 2, 'One progress notification per event');
+                assert.deepEqual(messages[0], { type: 'message', data: '{"percent":50}', id: '1' }, 'Default message event');
+                assert.deepEqual(messages[1], { type: 'complete', data: 'line one\nline two', id: '2' }, 'Named event with multi-line data');
+                assert.deepEqual(data, messages, 'Resolves with every event');
+            }).fail(function() {
+                assert.ok(false, 'Stream should succeed');
+            }).always(done);
+        });
+        
+        jqnextTest('$.stream does not pass the body of a failed response to progress()', function(assert) {
+            var done = assert.async();
+            var realFetch = window.fetch;
+            var records = [];
+            var chunks = 0;
+            
+            window.fetch = function() {
+                return Promise.resolve(new Response('{"error":"boom"}\n', { status: 500 }));
+            };
+            
+            $(document).on('ajaxChunk.streamtest', function() {
+                chunks++;
+            });
+            
+            $.stream('/mock/failing.ndjson').progress(function(event) {
+                records.push(event.data);
+            }).done(function() {
+                assert.ok(false, 'Failed stream should not succeed');
+            }).fail(function(jqXHR, status) {
+                assert.equal(status, 'error', 'Request fails');
+                assert.equal(jqXHR.status, 500, 'HTTP status reported');
+                assert.deepEqual(records, [], 'Error body not passed to progress()');
+                assert.equal(chunks, 0, 'No ajaxChunk for the error body');
+            }).always(function() {
+                window.fetch = realFetch;
+                $(document).off('.streamtest');
+                done();
+            });
+        });
+        
+        jqnextTest('$.stream starts each retry attempt with an empty parser', function(assert) {
+            var done = assert.async();
+            var realFetch = window.fetch;
+            var encoder = new TextEncoder();
+            var records = [];
+            var attempts = 0;
+            
+            // The first response stalls half-way through a record and times out
+            window.fetch = function() {
+                var body = ++attempts === 1 ? '{"partial":' : '{"step":1}\n';
+                return Promise.resolve(new Response(new ReadableStream({
+                    start: function(controller) {
+                        controller.enqueue(encoder.encode(body));
+                        if (attempts > 1) {
+                            controller.close();
+                        }
+                    }
+                }), { status: 200 }));
+            };
+            
+            $.stream('/mock/stalled.ndjson', { timeout: 100, retry: { count: 1, retryOn: ['timeout'] } }).progress(function(event) {
+                records.push(event.data);
+            }).done(function(data) {
+                assert.equal(attempts, 2, 'Timed-out attempt retried');
+                assert.deepEqual(records, [{ step: 1 }], 'Record from the retry passed to progress()');
+                assert.deepEqual(data, [{ step: 1 }], 'Resolves with the retry\'s records');
+            }).fail(function() {
+                assert.ok(false, 'Retried stream should succeed');
+            }).always(function() {
+                window.fetch = realFetch;
+                done();
+            });
+        });
+        
+        QUnit.test('$.fn.load runs scripts in document order', function(assert) {
+            var done = assert.async();
+            var $target = $('<div>').appendTo('#qunit-fixture');
+            window.loadFixtureOrder = [];
+            
+            $target.load('data/load.html', function(responseText, status, jqXHR) {
+                assert.equal(status, 'success', 'Status passed to complete');
+                assert.equal(typeof jqXHR.abort, 'function', 'jqXHR passed to complete');
+                assert.equal($target.find('.load-item').length, 2, 'Content inserted');
+                assert.deepEqual(window.loadFixtureOrder, ['inline-1', 'external', 'inline-2:external'],
+                    'Inline and external scripts ran in order, non-JavaScript types skipped');
+                
+                delete window.loadFixtureOrder;
+                delete window.loadFixtureExternal;
+                done();
+            });
+        });
+        
+        jqnextTest('$.fn.load injects cross-origin scripts and throws when a script fails to load', function(assert) {
+            var done = assert.async();
+            var mock = $.ajax.mock.enable();
+            var $target = $('<div>').appendTo('#qunit-fixture');
+            // Another port is another origin
+            var remote = location.protocol + '//' + location.hostname + ':' + (Number(location.port || 80) + 1) + '/data/load.js';
+            var onerror = window.onerror;
+            var errors = [];
+            var stops = 0;
+            
+            window.loadFixtureOrder = [];
+            window.onerror = function(message) {
+                if (/Failed to load script/.test(message)) {
+                    errors.push(message);
+                    return true;
+                }
+                return onerror.apply(this, arguments);
+            };
+            
+            $(document).on('ajaxStop.loadtest', function() {
+                stops++;
+            });
+            
+            mock.add({ url: '/mock/missing.html', contentType: 'text/html', response: '<script src="/mock/missing.js"></script>' });
+            mock.add({ url: '/mock/scripts.html', contentType: 'text/html',
+                response: '<script src="/mock/local.js"></script><script src="' + remote + '"></script>' });
+            mock.add({ url: '*/mock/local.js', contentType: 'application/javascript', response: 'window.loadLocal = true;' });
+            
+            var cleanup = function() {
+                window.onerror = onerror;
+                $(document).off('.loadtest');
+                delete window.loadLocal;
+                delete window.loadFixtureOrder;
+                delete window.loadFixtureExternal;
+                mock.disable();
+                $target.remove();
+                done();
+            };
+            
+            $target.load('/mock/missing.html', function(responseText, status) {
+                assert.equal(status, 'success', 'complete still called when a script fails to load');
+                
+                // The failure is thrown on a timer of its own
+                setTimeout(function() {
+                    assert.equal(errors.length, 1, 'A script that fails to load throws');
+                    assert.ok(/missing\.js: 404/.test(errors[0]), 'Error names the script and status');
+                    assert.equal(stops, 1, 'ajaxStop fired for the request');
+                    
+                    $target.load('/mock/scripts.html', function() {
+                        var injected = $('head script').filter(function() { return this.src === remote; })[0];
+                        
+                        assert.ok(injected, 'Cross-origin script loaded through a script element');
+                        assert.deepEqual($.map(mock.requests, function(request) { return request.url; }),
+                            ['/mock/missing.html', location.origin + '/mock/missing.js', '/mock/scripts.html', location.origin + '/mock/local.js'],
+                            'Only same-origin scripts requested with ajax');
+                        assert.strictEqual(window.loadLocal, true, 'Same-origin script ran');
+                        
+                        if (!injected) {
+                            cleanup();
+                            return;
+                        }
+                        
+                        var finish = function() {
+                            assert.notOk(injected.parentNode, 'Script element removed once it has loaded or failed');
+                            assert.equal(stops, 2, 'Later requests still fire ajaxStop');
+                            cleanup();
+                        };
+                        injected.addEventListener('load', finish);
+                        injected.addEventListener('error', finish);
+                    });
+                }, 10);
+            });
+        });
+        
+        QUnit.test('$.fn.load with a fragment selector', function(assert) {
+            var done = assert.async();
+            var $target = $('<div>').appendTo('#qunit-fixture');
+            window.loadFixtureOrder = [];
+            
+            $target.load('data/load.html #load-panel li:first', function() {
+                var $items = $target.children();
+                assert.equal($items.length, 1, 'jQuery pseudo-selector applied to the fragment');
+                assert.ok($items.is('li.load-item'), 'Matched elements inserted themselves');
+                assert.equal($items.text(), 'First', 'First item selected');
+                assert.deepEqual(window.loadFixtureOrder, [], 'Scripts not run when a selector is given');
+                
+                delete window.loadFixtureOrder;
+                done();
+            });
+        });
+        
+        jqnextTest('$.fn.ajaxSubmit sends the form data set with the submitter', function(assert) {
+            var done = assert.async();
+            var mock = $.ajax.mock.enable();
+            var sent = mock.requests;
+            
+            mock.add({ url: '*/mock/save', response: 'saved' });
+            mock.add({ url: '*/mock/draft', response: 'draft saved' });
+            
+            var $form = $(
+                '<form action="/mock/save" method="post" enctype="multipart/form-data">' +
+                    '<input name="title" value="Report">' +
+                    '<input type="file" name="attachment">' +
+                    '<fieldset disabled><input name="locked" value="x"></fieldset>' +
+                    '<button type="submit" name="action" value="save">Save</button>' +
+                    '<button type="submit" name="action" value="draft" formaction="/mock/draft" ' +
+                        'formmethod="get" formenctype="application/x-www-form-urlencoded">Draft</button>' +
+                '</form>'
+            ).appendTo('#qunit-fixture');
+            var $buttons = $form.find('button');
+            
+            $form.ajaxSubmit({ submitter: $buttons[0] }).then(function(data) {
+                var request = sent[0];
+                assert.equal(data, 'saved', 'Resolves like any ajax request');
+                assert.ok(/\/mock\/save$/.test(request.url), 'Form action used');
+                assert.equal(request.type, 'POST', 'Form method used');
+                assert.ok(request.data instanceof FormData, 'Multipart forms send FormData');
+                assert.equal(request.data.get('title'), 'Report', 'Text field included');
+                assert.ok(request.data.has('attachment'), 'File input included');
+                assert.notOk(request.data.has('locked'), 'Disabled fieldset excluded');
+                assert.deepEqual(request.data.getAll('action'), ['save'], 'Only the submitter button included');
+                assert.equal(request.headers['Content-Type'], undefined, 'Browser sets the multipart Content-Type');
+                
+                return $form.ajaxSubmit({ submitter: $buttons.eq(1), data: { extra: 1 } });
+            }).then(function() {
+                var request = sent[1];
+                assert.ok(/\/mock\/draft\?/.test(request.url), 'formaction overrides the action');
+                assert.equal(request.type, 'GET', 'formmethod overrides the method');
+                assert.ok(/title=Report&attachment=&action=draft&extra=1$/.test(request.url), 'formenctype overrides the encoding');
+            }, function() {
+                assert.ok(false, 'Submissions should succeed');
+            }).always(function() {
+                mock.disable();
+                done();
+            });
+        });
+        
+        jqnextTest('$.ajax.mock answers requests from canned responses', function(assert) {
+            var done = assert.async();
+            var mock = $.ajax.mock.enable();
+            var events = [];
+            var statusCodes = [];
+            
+            $(document).on('ajaxSuccess.mocktest ajaxError.mocktest', function(event, jqXHR, settings) {
+                events.push(event.type + ' ' + settings.url);
+            });
+            
+            mock.add({ url: '/api/users/*', type: 'GET', response: { id: 7 }, headers: { 'X-Total': '1' }, latency: 20 });
+            mock.add({ url: /\/api\/save$/, method: 'post', status: 422, response: { error: 'invalid' }, times: 1 });
+            mock.add({ url: '/api/save', type: 'POST', response: function(request) { return 'saved ' + request.data; } });
+            
+            var start = Date.now();
+            $.ajax({ url: '/api/users/7', data: { full: 1 } }).then(function(data, status, jqXHR) {
+                assert.ok(Date.now() - start >= 15, 'Latency applied');
+                assert.deepEqual(data, { id: 7 }, 'Object responses sent as JSON');
+                assert.equal(jqXHR.getResponseHeader('X-Total'), '1', 'Response headers');
+                assert.equal(mock.requests[0].url, '/api/users/7?full=1', 'Request recorded with its URL');
+                
+                return $.ajax({
+                    url: '/api/save',
+                    type: 'POST',
+                    data: { name: 'x' },
+                    statusCode: { 422: function() { statusCodes.push(422); } }
+                });
+            }).then(function() {
+                assert.ok(false, 'First save should fail');
+            }, function(jqXHR) {
+                assert.equal(jqXHR.status, 422, 'Status code');
+                assert.equal(jqXHR.statusText, 'Unprocessable Entity', 'Default status text');
+                assert.deepEqual(jqXHR.responseJSON, { error: 'invalid' }, 'Error body');
+                assert.deepEqual(statusCodes, [422], 'statusCode callback');
+                
+                return $.post('/api/save', { name: 'y' });
+            }).then(function(data) {
+                assert.equal(data, 'saved name=y', 'times: 1 handler used up, dynamic response');
+                assert.equal(mock.requests[2].headers['Content-Type'], 'application/x-www-form-urlencoded; charset=UTF-8', 'Request headers recorded');
+                
+                return $.ajax('/api/missing');
+            }).then(null, function(jqXHR) {
+                assert.equal(jqXHR.status, 404, 'Unmatched requests get a 404');
+                assert.deepEqual(events, [
+                    'ajaxSuccess /api/users/7?full=1',
+                    'ajaxError /api/save',
+                    'ajaxSuccess /api/save',
+                    'ajaxError /api/missing'
+                ], 'Global events fired');
+                
+                mock.disable();
+                assert.equal(mock.requests.length, 0, 'disable() forgets recorded requests');
+            }).always(function() {
+                $(document).off('.mocktest');
+                $.ajax.mock.disable();
+                done();
+            });
+        });
+        
+        jqnextTest('$.ajax triggers per-request global events on a DOM context', function(assert) {
+            var done = assert.async();
+            var mock = $.ajax.mock.enable();
+            var $panel = $('<div class="panel"></div>').appendTo('#qunit-fixture');
+            var onPanel = [];
+            var onDocument = [];
+            
+            mock.add({ url: '/mock/context', response: 'ok' });
+            
+            $panel.on('ajaxSend ajaxSuccess ajaxComplete', function(event) {
+                onPanel.push(event.type);
+            });
+            $(document).on('ajaxSend.contexttest ajaxComplete.contexttest', function(event, jqXHR, settings) {
+                if (settings.url === '/mock/context') {
+                    onDocument.push(event.type + (event.target === $panel[0] ? ' panel' : ' document'));
+                }
+            });
+            
+            $.ajax({ url: '/mock/context', context: $panel[0] }).always(function() {
+                // Global events fire after the request's own callbacks
+                setTimeout(function() {
+                    $.ajax({ url: '/mock/context', context: { plain: true } }).always(function() {
+                        setTimeout(function() {
+                            assert.deepEqual(onPanel.sort(), ['ajaxComplete', 'ajaxSend', 'ajaxSuccess'], 'Triggered on the context element');
+                            assert.deepEqual(onDocument, [
+                                'ajaxSend panel', 'ajaxComplete panel',
+                                'ajaxSend document', 'ajaxComplete document'
+                            ], 'Bubble to document; plain object contexts trigger on document');
+                            
+                            $(document).off('.contexttest');
+                            $panel.remove();
+                            mock.disable();
+                            done();
+                        }, 0);
+                    });
+                }, 0);
+            });
+        });
+        
+        QUnit.test('$.ajax jsonp with a fixed jsonpCallback', function(assert) {
+            var done = assert.async();
+            
+            $.ajax({
+                url: 'data/jsonp.js',
+                dataType: 'jsonp',
+                jsonpCallback: 'jsonpFixtureCallback'
+            }).done(function(data, status) {
+                assert.equal(data.source, 'jsonp', 'Callback payload passed to done');
+                assert.equal(status, 'success', 'Status text is success');
+                assert.equal(typeof window.jsonpFixtureCallback, 'undefined', 'Global callback removed');
+            }).always(done);
+        });
+        
         QUnit.test('$.Callbacks functionality', function(assert) {
             var callbacks = $.Callbacks();
             var results = [];